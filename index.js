@@ -1,59 +1,858 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const http = require('http');
-const https = require('https');
+const crypto = require('crypto');
+const { createUpstreamPolicy } = require('./lib/upstream-policy');
+const { createUrlSigner } = require('./lib/url-signer');
+const { createUpstream } = require('./lib/upstream');
+const { createUpstreamAgents } = require('./lib/upstream-agents');
+const { createVideoCache } = require('./lib/video-cache');
+const { createStreamLimiter, accountKey, LimitError } = require('./lib/stream-limiter');
+const { createCoalescer } = require('./lib/coalescer');
+const { parseRange, resolveRange, parseContentRange, ifRangeMatches } = require('./lib/range');
+const { videoType } = require('./lib/mime');
+const { isPlaylist, rewritePlaylist } = require('./lib/playlist');
+const { createRemuxer, RemuxError, pickAudio } = require('./lib/remux');
+const { createHlsPackager } = require('./lib/hls');
+const { createMediaInfo, compact, audioTracks } = require('./lib/media-info');
+const { decide } = require('./lib/playback');
+const { createSubtitles, shiftVtt } = require('./lib/subtitles');
+const { createTrickplay } = require('./lib/trickplay');
+const { createImageCache, placeholder } = require('./lib/images');
+const { createHealthChecker } = require('./lib/health');
+const { createXtreamSource, createVodInfo } = require('./lib/xtream');
+const { buildCatalog, diffCatalog, createRedirects, CatalogError, readSources, readJsonSync, isM3u, isRemote, redactSource } = require('./lib/catalog');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+
+const config = {
+    // Con un panel Xtream configurado, data.json solo se lee si se pide con DATA_FILE
+    DATA_FILE: process.env.DATA_FILE || (process.env.XTREAM_SERVER ? '' : 'data.json'),
+    // Fuentes añadidas a DATA_FILE, separadas por comas: ficheros o URLs, JSON o listas M3U
+    CATALOG_SOURCES: (process.env.CATALOG_SOURCES || '').split(',').map(s => s.trim()).filter(Boolean),
+    CATALOG_WATCH: process.env.CATALOG_WATCH !== 'false',
+    CATALOG_REFRESH: process.env.CATALOG_REFRESH !== undefined ? +process.env.CATALOG_REFRESH : 6 * 3600,
+    CATALOG_FETCH_TIMEOUT: +process.env.CATALOG_FETCH_TIMEOUT || 120,
+    XTREAM_SERVER: process.env.XTREAM_SERVER || '',
+    XTREAM_USERNAME: process.env.XTREAM_USERNAME || '',
+    XTREAM_PASSWORD: process.env.XTREAM_PASSWORD || '',
+    // Qué importar del panel: movie, series y/o live
+    XTREAM_INCLUDE: (process.env.XTREAM_INCLUDE || 'movie').split(',').map(s => s.trim()).filter(Boolean),
+    XTREAM_STATE_FILE: process.env.XTREAM_STATE_FILE || path.join(__dirname, 'cache', 'xtream-series.json'),
+    // Fichas de get_vod_info: por defecto solo si el catálogo viene de un panel Xtream
+    VOD_INFO: process.env.VOD_INFO ? process.env.VOD_INFO === 'true' : !!process.env.XTREAM_SERVER,
+    VOD_INFO_FILE: process.env.VOD_INFO_FILE || path.join(__dirname, 'cache', 'vod-info.json'),
+    VOD_INFO_DELAY: process.env.VOD_INFO_DELAY !== undefined ? +process.env.VOD_INFO_DELAY : 1,
+    ALLOWED_DOMAINS: process.env.ALLOWED_DOMAINS ? process.env.ALLOWED_DOMAINS.split(',') : [],
+    ALLOW_PRIVATE_UPSTREAMS: process.env.ALLOW_PRIVATE_UPSTREAMS === 'true',
+    STREAM_SECRET: process.env.STREAM_SECRET || '',
+    STREAM_URL_TTL: +process.env.STREAM_URL_TTL || 6 * 3600,
+    // Caducidad de las URLs de HLS (la lista y lo que hay dentro): el reproductor las usa durante toda la
+    // sesión, que en directo o en una película larga dura más que un enlace normal
+    HLS_SESSION_TTL: +process.env.HLS_SESSION_TTL || 24 * 3600,
+    STREAM_BIND_IP: process.env.STREAM_BIND_IP === 'true',
+    TRUST_PROXY: process.env.TRUST_PROXY || '',
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+    VIDEO_CACHE_DIR: process.env.VIDEO_CACHE_DIR || path.join(__dirname, 'cache', 'video'),
+    VIDEO_CACHE_MAX_BYTES: process.env.VIDEO_CACHE_MAX_BYTES !== undefined ? +process.env.VIDEO_CACHE_MAX_BYTES : 2 * 1024 ** 3,
+    VIDEO_CACHE_TTL: +process.env.VIDEO_CACHE_TTL || 7 * 24 * 3600,
+    UPSTREAM_MAX_REDIRECTS: process.env.UPSTREAM_MAX_REDIRECTS !== undefined ? +process.env.UPSTREAM_MAX_REDIRECTS : 5,
+    REDIRECT_CACHE_TTL: +process.env.REDIRECT_CACHE_TTL || 60,
+    UPSTREAM_RESUME_ATTEMPTS: process.env.UPSTREAM_RESUME_ATTEMPTS !== undefined ? +process.env.UPSTREAM_RESUME_ATTEMPTS : 5,
+    UPSTREAM_RESUME_DEADLINE: +process.env.UPSTREAM_RESUME_DEADLINE || 60,
+    PROVIDER_MAX_STREAMS: +process.env.PROVIDER_MAX_STREAMS || 0,
+    STREAM_QUEUE_TIMEOUT: process.env.STREAM_QUEUE_TIMEOUT !== undefined ? +process.env.STREAM_QUEUE_TIMEOUT : 15,
+    UPSTREAM_CONNECT_TIMEOUT: +process.env.UPSTREAM_CONNECT_TIMEOUT || 10,
+    UPSTREAM_IDLE_TIMEOUT: +process.env.UPSTREAM_IDLE_TIMEOUT || 30,
+    UPSTREAM_KEEPALIVE_TIMEOUT: +process.env.UPSTREAM_KEEPALIVE_TIMEOUT || 15,
+    UPSTREAM_MAX_SOCKETS: +process.env.UPSTREAM_MAX_SOCKETS || 8,
+    UPSTREAM_MAX_FREE_SOCKETS: +process.env.UPSTREAM_MAX_FREE_SOCKETS || 4,
+    UPSTREAM_HTTP2: process.env.UPSTREAM_HTTP2 === 'true',
+    COALESCE_WINDOW: process.env.COALESCE_WINDOW !== undefined ? +process.env.COALESCE_WINDOW : 8 * 1024 * 1024,
+    COALESCE_MAX_LAG: +process.env.COALESCE_MAX_LAG || 8 * 1024 * 1024,
+    FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+    FFPROBE_PATH: process.env.FFPROBE_PATH || 'ffprobe',
+    REMUX_MAX_PROCESSES: +process.env.REMUX_MAX_PROCESSES || 2,
+    REMUX_TRANSCODE_VIDEO: process.env.REMUX_TRANSCODE_VIDEO !== 'false',
+    HLS_DIR: path.resolve(process.env.HLS_DIR || path.join(__dirname, 'cache', 'hls')),
+    HLS_SEGMENT_DURATION: +process.env.HLS_SEGMENT_DURATION || 6,
+    HLS_IDLE_TIMEOUT: +process.env.HLS_IDLE_TIMEOUT || 600,
+    MEDIA_INFO_FILE: process.env.MEDIA_INFO_FILE || path.join(__dirname, 'cache', 'media.json'),
+    MEDIA_PROBE: process.env.MEDIA_PROBE !== 'false',
+    MEDIA_PROBE_DELAY: process.env.MEDIA_PROBE_DELAY !== undefined ? +process.env.MEDIA_PROBE_DELAY : 5,
+    MEDIA_LIBRARY_DIR: process.env.MEDIA_LIBRARY_DIR || '',
+    SUBTITLE_DIR: process.env.SUBTITLE_DIR || path.join(__dirname, 'cache', 'subtitles'),
+    SUBTITLE_LANGS: (process.env.SUBTITLE_LANGS || 'es,en').split(',').map(l => l.trim()).filter(Boolean),
+    SUBTITLE_MAX_PROCESSES: +process.env.SUBTITLE_MAX_PROCESSES || 1,
+    TRICKPLAY_DIR: path.resolve(process.env.TRICKPLAY_DIR || path.join(__dirname, 'cache', 'trickplay')),
+    TRICKPLAY_INTERVAL: +process.env.TRICKPLAY_INTERVAL || 10,
+    TRICKPLAY_WIDTH: +process.env.TRICKPLAY_WIDTH || 160,
+    TRICKPLAY_DELAY: process.env.TRICKPLAY_DELAY !== undefined ? +process.env.TRICKPLAY_DELAY : 30,
+    TRICKPLAY_READ_RATE: process.env.TRICKPLAY_READ_RATE !== undefined ? +process.env.TRICKPLAY_READ_RATE : 4,
+    IMAGE_CACHE_DIR: path.resolve(process.env.IMAGE_CACHE_DIR || path.join(__dirname, 'cache', 'images')),
+    HEALTH_CHECK: process.env.HEALTH_CHECK !== 'false',
+    HEALTH_FILE: process.env.HEALTH_FILE || path.join(__dirname, 'cache', 'health.json'),
+    HEALTH_INTERVAL: +process.env.HEALTH_INTERVAL || 24 * 3600,
+    HEALTH_RETRY: +process.env.HEALTH_RETRY || 3600,
+    HEALTH_DELAY: process.env.HEALTH_DELAY !== undefined ? +process.env.HEALTH_DELAY : 2,
+    HEALTH_TIMEOUT: +process.env.HEALTH_TIMEOUT || 15,
+    HEALTH_DEAD_AFTER: +process.env.HEALTH_DEAD_AFTER || 3,
+    ID_STATE_FILE: process.env.ID_STATE_FILE || path.join(__dirname, 'cache', 'ids.json'),
+    ID_REDIRECTS_FILE: process.env.ID_REDIRECTS_FILE || ''
+};
+
 let MOVIES = [];
+let BY_ID = new Map();
+const policy = createUpstreamPolicy({ allowedDomains: config.ALLOWED_DOMAINS, allowPrivate: config.ALLOW_PRIVATE_UPSTREAMS });
+const signer = createUrlSigner({ secret: config.STREAM_SECRET, ttl: config.STREAM_URL_TTL });
+const hlsTtl = Math.max(config.STREAM_URL_TTL, config.HLS_SESSION_TTL);
+const limiter = createStreamLimiter({ max: config.PROVIDER_MAX_STREAMS, queueTimeout: config.STREAM_QUEUE_TIMEOUT * 1000 });
+const agents = createUpstreamAgents({
+    lookup: policy.lookup, maxSockets: config.UPSTREAM_MAX_SOCKETS, maxFreeSockets: config.UPSTREAM_MAX_FREE_SOCKETS,
+    keepAliveTimeout: config.UPSTREAM_KEEPALIVE_TIMEOUT * 1000, connectTimeout: config.UPSTREAM_CONNECT_TIMEOUT * 1000, http2: config.UPSTREAM_HTTP2
+});
+const upstream = createUpstream({
+    policy, limiter, agents, timeout: config.UPSTREAM_IDLE_TIMEOUT * 1000, maxRedirects: config.UPSTREAM_MAX_REDIRECTS, redirectTtl: config.REDIRECT_CACHE_TTL * 1000,
+    resumeAttempts: config.UPSTREAM_RESUME_ATTEMPTS, resumeDeadline: config.UPSTREAM_RESUME_DEADLINE * 1000
+});
+const coalescer = createCoalescer({ window: config.COALESCE_WINDOW, maxLag: config.COALESCE_MAX_LAG });
+const cache = createVideoCache({ dir: config.VIDEO_CACHE_DIR, maxBytes: config.VIDEO_CACHE_MAX_BYTES, ttl: config.VIDEO_CACHE_TTL });
+const remuxer = createRemuxer({
+    ffmpeg: config.FFMPEG_PATH, ffprobe: config.FFPROBE_PATH, maxProcesses: config.REMUX_MAX_PROCESSES,
+    maxSubtitles: config.SUBTITLE_MAX_PROCESSES, transcodeVideo: config.REMUX_TRANSCODE_VIDEO
+});
+const media = createMediaInfo({
+    file: config.MEDIA_INFO_FILE, delay: config.MEDIA_PROBE_DELAY * 1000,
+    probe: (movie, { background }) => remuxer.probe(movie.url, background ? backgroundInput(movie) : mediaInput(movie)),
+    // El análisis en segundo plano no debe quitarle conexiones con el proveedor a quien está viendo algo:
+    // solo arranca con un hueco libre (sin nadie en cola) y sus lecturas no esperan turno
+    canProbe: movie => !!mediaLocalFile(movie) || limiter.idle(accountKey(movie.url))
+});
+const subtitles = createSubtitles({ dir: config.SUBTITLE_DIR, upstream, remuxer, langs: config.SUBTITLE_LANGS });
+const hls = createHlsPackager({ remuxer, dir: config.HLS_DIR, segmentDuration: config.HLS_SEGMENT_DURATION, idleTimeout: config.HLS_IDLE_TIMEOUT });
+const trickplay = createTrickplay({
+    ffmpeg: config.FFMPEG_PATH, dir: config.TRICKPLAY_DIR, interval: config.TRICKPLAY_INTERVAL, width: config.TRICKPLAY_WIDTH,
+    delay: config.TRICKPLAY_DELAY * 1000, readRate: config.TRICKPLAY_READ_RATE,
+    // Lee como el análisis en segundo plano: sin esperar turno ni llenar la caché de vídeo con el título entero
+    info: movie => media.info(movie, { background: true }), input: movie => backgroundInput(movie),
+    // Solo con un hueco libre con el proveedor, para no quitárselo a nadie
+    canStart: movie => !!mediaLocalFile(movie) || limiter.idle(accountKey(movie.url))
+});
+// Los carteles no ocupan huecos de la cuenta ni esperan en la cola de los espectadores
+const images = createImageCache({
+    dir: config.IMAGE_CACHE_DIR, ffmpeg: config.FFMPEG_PATH,
+    upstream: createUpstream({ policy, agents, timeout: config.UPSTREAM_IDLE_TIMEOUT * 1000, maxRedirects: config.UPSTREAM_MAX_REDIRECTS, redirectTtl: config.REDIRECT_CACHE_TTL * 1000 })
+});
+const health = createHealthChecker({
+    file: config.HEALTH_FILE, interval: config.HEALTH_INTERVAL * 1000, retryAfter: config.HEALTH_RETRY * 1000,
+    delay: config.HEALTH_DELAY * 1000, timeout: config.HEALTH_TIMEOUT * 1000, deadAfter: config.HEALTH_DEAD_AFTER,
+    // Sin esperar en la cola de los espectadores: sin hueco libre la comprobación se deja para luego
+    probe: (movie, signal) => upstream.probe(movie.url, { signal, queue: false }),
+    canProbe: movie => limiter.idle(accountKey(movie.url))
+});
+const vodInfo = createVodInfo({
+    file: config.VOD_INFO_FILE, delay: config.VOD_INFO_DELAY * 1000,
+    servers: config.XTREAM_SERVER ? [config.XTREAM_SERVER] : [], check: url => policy.check(url)
+});
+const redirects = createRedirects({ file: config.ID_STATE_FILE, manual: readRedirects(config.ID_REDIRECTS_FILE) });
+if (signer.ephemeral) console.warn('⚠ STREAM_SECRET no definido: los enlaces firmados dejan de valer al reiniciar');
+if (config.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(config.TRUST_PROXY) ? +config.TRUST_PROXY : config.TRUST_PROXY);
+
+// Redirecciones puestas a mano ({ "idViejo": "idNuevo" }), opcionales
+function readRedirects(file) {
+    if (!file) return {};
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) {
+        console.error('Redirecciones:', e.message);
+        return {};
+    }
+}
 
-try {
-    const data = JSON.parse(fs.readFileSync(path.join(__dirname, process.env.DATA_FILE || 'data.json'), 'utf8'));
-    MOVIES = data.map((m, i) => ({ id: i, title: m.title || 'Sin título', poster: m.logo || '', url: m.url || '' }));
-    console.log(`✓ ${MOVIES.length} películas`);
-} catch (e) { console.error('Error:', e.message); }
+// DATA_FILE, CATALOG_SOURCES y el panel Xtream, con las rutas locales relativas a la carpeta del servidor
+const SOURCES = [config.DATA_FILE, ...config.CATALOG_SOURCES].filter(Boolean).map(s => isRemote(s) ? s : path.resolve(__dirname, s));
+if (config.XTREAM_SERVER) {
+    SOURCES.push(createXtreamSource({
+        server: config.XTREAM_SERVER, username: config.XTREAM_USERNAME, password: config.XTREAM_PASSWORD,
+        include: config.XTREAM_INCLUDE, file: config.XTREAM_STATE_FILE, timeout: config.CATALOG_FETCH_TIMEOUT * 1000
+    }));
+}
+const catalog = { loadedAt: null, hash: null, lastError: null, lastDiff: null, reloads: 0, skipped: 0, pending: null };
+
+// Cambia el catálogo de una vez; las peticiones en curso conservan el título que ya habían buscado
+function applyCatalog(movies, hash) {
+    const diff = diffCatalog(MOVIES, movies);
+    MOVIES = movies;
+    BY_ID = new Map(movies.map(m => [m.id, m]));
+    policy.setCatalog(movies);
+    const renamed = Object.keys(redirects.update(movies)).length;
+    if (renamed) console.log(`↪ ${renamed} IDs antiguos redirigidos a sus nuevas entradas`);
+    Object.assign(catalog, { loadedAt: Date.now(), hash, lastError: null });
+    return diff;
+}
+
+/**
+ * Vuelve a leer todas las fuentes y, si son válidas y algo ha cambiado, sustituye el catálogo.
+ * Devuelve las diferencias (null si nada cambió); si una fuente falla se queda el catálogo anterior
+ * y se lanza el error. Las llamadas simultáneas comparten la misma lectura.
+ */
+function reloadCatalog(reason) {
+    if (catalog.pending) return catalog.pending;
+    catalog.pending = (async () => {
+        const { entries, hash, skipped } = await readSources(SOURCES, { timeout: config.CATALOG_FETCH_TIMEOUT * 1000 });
+        if (hash === catalog.hash) return null;
+        const movies = buildCatalog(entries);
+        if (!movies.length && MOVIES.length) throw new CatalogError('El catálogo nuevo está vacío');
+        if (skipped) console.warn(`⚠ ${skipped} entradas de listas M3U sin URL http(s) descartadas`);
+        const diff = applyCatalog(movies, hash);
+        catalog.skipped = skipped;
+        catalog.reloads++;
+        catalog.lastDiff = { at: new Date().toISOString(), reason, ...diff };
+        const names = list => list.slice(0, 5).map(m => m.title).join(', ') + (list.length > 5 ? '…' : '');
+        console.log(`↻ Catálogo recargado (${reason}): ${MOVIES.length} películas, +${diff.added.length} −${diff.removed.length} ~${diff.changed.length}`);
+        if (diff.added.length) console.log('  + ' + names(diff.added));
+        if (diff.removed.length) console.log('  − ' + names(diff.removed));
+        if (diff.changed.length) console.log('  ~ ' + names(diff.changed));
+        if (config.MEDIA_PROBE) media.schedule(MOVIES);
+        if (config.HEALTH_CHECK) health.schedule(MOVIES);
+        if (config.VOD_INFO) vodInfo.schedule(MOVIES);
+        return diff;
+    })().catch(e => {
+        catalog.lastError = { at: new Date().toISOString(), reason, message: e.message };
+        console.error(`✖ Catálogo no recargado (${reason}):`, e.message);
+        throw e;
+    }).finally(() => { catalog.pending = null; });
+    return catalog.pending;
+}
+
+// Los editores suelen guardar con un fichero nuevo y un rename: se vigila la carpeta y se espera a que se calme
+function watchCatalog() {
+    let timer = null;
+    for (const file of SOURCES.filter(s => !isRemote(s))) {
+        try {
+            fs.watch(path.dirname(file), { persistent: false }, (event, name) => {
+                if (name !== path.basename(file)) return;
+                clearTimeout(timer);
+                timer = setTimeout(() => reloadCatalog('fichero modificado').catch(() => { }), 1000);
+            });
+        } catch (e) { console.error('No se puede vigilar el catálogo:', e.message); }
+    }
+}
+
+// Un data.json local solo se lee antes de escuchar; las listas M3U y las URLs se cargan después
+const syncCatalog = SOURCES.length === 1 && !isRemote(SOURCES[0]) && !isM3u(SOURCES[0]);
+if (syncCatalog) {
+    try {
+        const { entries, hash } = readJsonSync(SOURCES[0]);
+        // El ID sale del id de stream del proveedor, no de la posición: reordenar data.json no cambia nada
+        applyCatalog(buildCatalog(entries), hash);
+        console.log(`✓ ${MOVIES.length} películas`);
+    } catch (e) { console.error('Error:', e.message); }
+}
 
 app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Range');
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Range,Accept-Ranges,Content-Length');
+    res.setHeader('Access-Control-Allow-Headers', 'Range,If-Range');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Range,Accept-Ranges,Content-Length,ETag,Last-Modified,X-Content-Duration,X-Start-Offset');
     if (req.method === 'OPTIONS') return res.sendStatus(204);
     next();
 });
 
+/**
+ * Título de la ruta (:id) en req.movie. Un ID antiguo con redirección se manda a la URL con el ID
+ * nuevo, salvo en los enlaces firmados: la firma va ligada al ID y no valdría para el otro.
+ */
+app.param('id', (req, res, next, id) => {
+    req.movie = BY_ID.get(id) || null;
+    const to = !req.movie && !req.query.sig && redirects.resolve(id);
+    if (!to || !BY_ID.has(to)) return next();
+    const [pathname, query] = req.originalUrl.split(/\?(.*)/s);
+    const target = pathname.split('/').map(part => part === encodeURIComponent(id) ? encodeURIComponent(to) : part).join('/');
+    res.redirect(['GET', 'HEAD'].includes(req.method) ? 301 : 308, target + (query ? '?' + query : ''));
+});
+
+const publicMovie = ({ url, ...m }) => ({ ...m, media: compact(media.get({ url })), available: !health.isDead({ url }) });
+
 app.get('/api/movies', (req, res) => {
-    const { page = 0, limit = 200, q = '', random } = req.query;
+    const { page = 0, limit = 200, q = '', random, available, year, yearFrom, yearTo, sort, category } = req.query;
     let list = q ? MOVIES.filter(m => m.title.toLowerCase().includes(q.toLowerCase())) : [...MOVIES];
+    // available=true oculta los enlaces que el comprobador ha dado por caídos
+    if (available === 'true') list = list.filter(m => !health.isDead(m));
+    // year=2025 o un intervalo con yearFrom/yearTo; los títulos sin año quedan fuera
+    if (year) list = list.filter(m => m.year === +year);
+    if (yearFrom) list = list.filter(m => m.year && m.year >= +yearFrom);
+    if (yearTo) list = list.filter(m => m.year && m.year <= +yearTo);
+    // category: el group-title de las listas M3U (o "category" en data.json)
+    if (category) list = list.filter(m => m.category === category);
     if (random === 'true') list.sort(() => Math.random() - 0.5);
+    // sort=year (más antiguas primero) o sort=-year (más recientes); sin año, al final
+    if (sort === 'year' || sort === '-year') {
+        const dir = sort === 'year' ? 1 : -1;
+        list.sort((a, b) => !a.year - !b.year || dir * (a.year - b.year) || a.cleanTitle.localeCompare(b.cleanTitle, 'es'));
+    }
+    // sort=-added: lo último que ha dado de alta el proveedor primero (fechas ISO, se comparan como texto)
+    if (sort === 'added' || sort === '-added') {
+        const dir = sort === 'added' ? 1 : -1;
+        list.sort((a, b) => !a.added - !b.added || dir * (a.added || '').localeCompare(b.added || ''));
+    }
     const start = page * limit;
-    res.json({ total: list.length, hasMore: start + +limit < list.length, data: list.slice(start, start + +limit) });
-});
-
-app.get('/video-proxy', (req, res) => {
-    const url = req.query.url;
-    if (!url) return res.status(400).end();
-    let parsed;
-    try { parsed = new URL(decodeURIComponent(url)); } catch { return res.status(400).end(); }
-    const client = parsed.protocol === 'https:' ? https : http;
-    const headers = { 'User-Agent': 'Mozilla/5.0', 'Accept': '*/*', 'Accept-Encoding': 'identity', 'Referer': parsed.origin + '/' };
-    if (req.headers.range) headers['Range'] = req.headers.range;
-    const proxyReq = client.request({ hostname: parsed.hostname, port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80), path: parsed.pathname + parsed.search, headers, timeout: 30000 }, proxyRes => {
-        if ([301, 302, 307, 308].includes(proxyRes.statusCode) && proxyRes.headers.location) {
+    res.json({ total: list.length, hasMore: start + +limit < list.length, data: list.slice(start, start + +limit).map(publicMovie) });
+});
+
+// Categorías del catálogo con cuántos títulos tiene cada una
+app.get('/api/categories', (req, res) => {
+    const counts = new Map();
+    for (const m of MOVIES) if (m.category) counts.set(m.category, (counts.get(m.category) || 0) + 1);
+    const data = [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => a.name.localeCompare(b.name, 'es'));
+    res.json({ total: data.length, data });
+});
+
+// Ficha del título con todos los metadatos y la del proveedor; ?probe=true los obtiene en el momento si aún no están
+app.get('/api/movies/:id', async (req, res) => {
+    const movie = req.movie;
+    if (!movie) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    let info = media.get(movie);
+    let provider = vodInfo.get(movie);
+    if (movie.url && req.query.probe === 'true') {
+        if (!info) info = await media.info(movie).catch(() => null);
+        if (!provider && config.VOD_INFO) provider = await vodInfo.load(movie);
+    }
+    const { probedAt, ...details } = info || {};
+    res.json({
+        status: 'ok',
+        data: { ...publicMovie(movie), details: info ? details : null, provider, probedAt: info ? new Date(probedAt).toISOString() : null }
+    });
+});
+
+function denyUpstream(req, res, err) {
+    console.warn(`⛔ Upstream bloqueado [${err.reason}] ${err.host} ← ${req.ip} ${req.path}`);
+    if (!res.headersSent) res.status(403).json({ status: 'error', message: 'Destino no permitido', reason: err.reason });
+}
+
+// Rutas de administración: deshabilitadas si no hay ADMIN_TOKEN; el token va en "Authorization: Bearer"
+function requireAdmin(req, res, next) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const digest = v => crypto.createHash('sha256').update(v).digest();
+    if (config.ADMIN_TOKEN && crypto.timingSafeEqual(digest(token), digest(config.ADMIN_TOKEN))) return next();
+    res.status(config.ADMIN_TOKEN ? 401 : 404).json({ status: 'error', message: config.ADMIN_TOKEN ? 'No autorizado' : 'Administración deshabilitada' });
+}
+
+function requireSignature(scope) {
+    return (req, res, next) => {
+        try {
+            req.access = signer.verify(scope(req), req.query, req.ip);
+            next();
+        } catch (e) {
+            console.warn(`⛔ Firma rechazada [${e.reason}] ← ${req.ip} ${req.path}`);
+            res.status(403).json({ status: 'error', message: 'Enlace no válido o caducado', reason: e.reason });
+        }
+    };
+}
+
+function streamsBusy(res, err) {
+    console.warn(`⏳ ${err.message}: ${err.key} (máx. ${err.max})`);
+    res.setHeader('Retry-After', '10');
+    res.status(err.status).json({ status: 'error', message: 'Demasiadas reproducciones en uso', reason: err.reason, max: err.max });
+}
+
+function upstreamError(req, res, err) {
+    if (err.code === 'EPOLICY') return denyUpstream(req, res, err);
+    if (err.code === 'EREDIRECT') console.warn(`↪ ${err.message} ← ${req.ip} ${req.path}`);
+    if (err.code === 'ELIMIT' && !res.headersSent) return streamsBusy(res, err);
+    if (res.headersSent || err.name === 'AbortError') return res.destroy();
+    res.status(err.code === 'ETIMEDOUT' ? 504 : 502).end();
+}
+
+async function proxyVideo(req, res, target, label) {
+    const ac = new AbortController();
+    res.on('close', () => ac.abort());
+    const open = (range, signal = ac.signal) => upstream.open(target, { range, signal, resume: true });
+    // Continuación propia para un cliente que se separa de una descarga compartida
+    const detach = (from, to) => open(`bytes=${from}-${to}`).then(up => {
+        const cr = parseContentRange(up.headers['content-range']);
+        if (up.statusCode !== 206 || !cr || cr.start !== from) return up.destroy(), res.destroy();
+        up.body.pipe(res);
+        up.body.on('error', () => res.destroy());
+    }, () => res.destroy());
+
+    if (req.method === 'HEAD') return headVideo(req, res, target, ac.signal);
+    if (coalescer.join(target, req, res, detach)) return;
+    // Otro cliente está abriendo la misma URL (dos teles que arrancan a la vez): se espera a sus cabeceras y se une
+    for (let opening; (opening = coalescer.pending(target));) {
+        await opening;
+        if (res.destroyed) return;
+        if (coalescer.join(target, req, res, detach)) return;
+    }
+
+    const entry = cache.lookup(target);
+    if (entry && cache.servable(entry, req.headers.range)) {
+        try { policy.check(target); } catch (e) { return denyUpstream(req, res, e); }
+        return cache.serve(entry, req, res, open);
+    }
+
+    // La conexión pertenece a la descarga, no a este cliente: otros pueden unirse y seguir si él se va
+    const shared = new AbortController();
+    let flight = null;
+    res.on('close', () => !flight && shared.abort());
+    const { range, 'if-range': ifRange } = req.headers;
+    const settle = coalescer.expect(target);
+    try {
+        await proxyFrom(req, res, target, label, { range, ifRange, shared, detach, lead: f => { flight = f; } });
+    } finally { settle(); }
+}
+
+// Abre la conexión con el proveedor y la reenvía al cliente, ofreciéndola como vuelo compartible
+async function proxyFrom(req, res, target, label, { range, ifRange, shared, detach, lead }) {
+    let proxyRes;
+    try { proxyRes = await upstream.open(target, { range, ifRange, signal: shared.signal, resume: true }); } catch (e) { return upstreamError(req, res, e); }
+    proxyRes.headers['content-type'] = videoType(proxyRes.headers['content-type'], target);
+    // Las listas HLS no se cachean ni se comparten: en directo cambian en cada refresco
+    if (proxyRes.statusCode === 200 && isPlaylist(proxyRes.headers['content-type'])) return sendPlaylist(req, res, proxyRes);
+    const span = bodySpan(proxyRes);
+
+    // El proveedor ignoró el Range y mandó el fichero entero: se recorta aquí para devolver el 206 pedido
+    let part = null;
+    if (range && !ifRange && proxyRes.statusCode === 200 && span && parseRange(range)) {
+        part = resolveRange(parseRange(range), span.size);
+        if (!part) {
             proxyRes.destroy();
-            return res.redirect(307, '/video-proxy?url=' + encodeURIComponent(proxyRes.headers.location));
+            return res.writeHead(416, { 'Content-Range': `bytes */${span.size}` }).end();
+        }
+    }
+
+    const h = { 'Content-Type': proxyRes.headers['content-type'], 'X-Cache': 'MISS' };
+    if (!part) h['Accept-Ranges'] = proxyRes.statusCode === 206 || proxyRes.headers['accept-ranges'] === 'bytes' ? 'bytes' : 'none';
+    if (proxyRes.headers['content-length']) h['Content-Length'] = proxyRes.headers['content-length'];
+    if (proxyRes.headers['content-range']) h['Content-Range'] = proxyRes.headers['content-range'];
+    if (proxyRes.headers['etag']) h['ETag'] = proxyRes.headers['etag'];
+    if (proxyRes.headers['last-modified']) h['Last-Modified'] = proxyRes.headers['last-modified'];
+    if (part) {
+        h['Content-Length'] = part.end - part.start + 1;
+        h['Content-Range'] = `bytes ${part.start}-${part.end}/${span.size}`;
+    }
+    res.writeHead(part ? 206 : proxyRes.statusCode, h);
+    cache.capture(target, proxyRes, label);
+
+    const flight = span && !res.destroyed ? coalescer.lead(target, proxyRes, span, () => shared.abort()) : null;
+    lead(flight);
+    if (flight) return coalescer.subscribe(flight, res, (part || span).start, (part || span).end, detach);
+    if (part) return res.destroy();
+    proxyRes.body.pipe(res);
+    proxyRes.body.on('error', () => res.destroy());
+}
+
+const MAX_PLAYLIST_BYTES = 2 * 1024 * 1024;
+
+// Lista HLS del proveedor con todas sus URIs reescritas para que vuelvan por /video-proxy firmadas. Se
+// firman de nuevo en cada petición de la lista, con la caducidad de una sesión HLS (HLS_SESSION_TTL): el
+// reproductor guarda la lista maestra y recarga las de cada variante sin volver a pedir la URL de inicio
+async function sendPlaylist(req, res, upRes) {
+    const chunks = [];
+    let size = 0;
+    try {
+        for await (const chunk of upRes.body) {
+            size += chunk.length;
+            if (size > MAX_PLAYLIST_BYTES) throw new Error('Lista HLS demasiado grande');
+            chunks.push(chunk);
         }
-        const h = { 'Content-Type': proxyRes.headers['content-type'] || 'video/mp4', 'Accept-Ranges': 'bytes' };
-        if (proxyRes.headers['content-length']) h['Content-Length'] = proxyRes.headers['content-length'];
-        if (proxyRes.headers['content-range']) h['Content-Range'] = proxyRes.headers['content-range'];
-        res.writeHead(proxyRes.statusCode, h);
-        proxyRes.pipe(res);
-        proxyRes.on('error', () => res.end());
+    } catch (e) {
+        upRes.body.destroy();
+        if (e.name !== 'AbortError') console.warn(`HLS ${req.path}:`, e.message);
+        return upstreamError(req, res, e);
+    }
+    const ip = req.access && req.access.boundIp && req.ip;
+    const body = rewritePlaylist(Buffer.concat(chunks).toString('utf8'), upRes.url,
+        url => signer.signUrl('/video-proxy?url=' + encodeURIComponent(url), url, { ip, expiresIn: hlsTtl }));
+    res.writeHead(200, {
+        'Content-Type': 'application/vnd.apple.mpegurl', 'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-cache', 'X-Cache': 'MISS'
     });
-    proxyReq.on('error', () => !res.headersSent && res.status(502).end());
-    proxyReq.on('timeout', () => { proxyReq.destroy(); !res.headersSent && res.status(504).end(); });
-    req.on('close', () => proxyReq.destroy());
-    proxyReq.end();
+    res.end(body);
+}
+
+// HEAD: cabeceras desde la caché o preguntando al proveedor, sin descargar el vídeo
+async function headVideo(req, res, target, signal) {
+    try { policy.check(target); } catch (e) { return denyUpstream(req, res, e); }
+    const entry = cache.lookup(target);
+    let info = entry && { status: 200, size: entry.size, ranges: true, contentType: entry.contentType, etag: entry.etag, lastModified: entry.lastModified };
+    if (!info) {
+        try { info = await upstream.probe(target, { signal }); } catch (e) { return upstreamError(req, res, e); }
+    }
+    if (info.status >= 400) return res.status(info.status).end();
+
+    const h = { 'Content-Type': videoType(info.contentType, target), 'Accept-Ranges': info.ranges ? 'bytes' : 'none' };
+    if (info.etag) h['ETag'] = info.etag;
+    if (info.lastModified) h['Last-Modified'] = info.lastModified;
+    if (info.ranges && info.size && req.headers.range && ifRangeMatches(req.headers['if-range'], info)) {
+        const r = resolveRange(parseRange(req.headers.range), info.size);
+        if (!r) return res.writeHead(416, { 'Content-Range': `bytes */${info.size}` }).end();
+        h['Content-Range'] = `bytes ${r.start}-${r.end}/${info.size}`;
+        h['Content-Length'] = r.end - r.start + 1;
+        return res.writeHead(206, h).end();
+    }
+    if (info.size !== null) h['Content-Length'] = info.size;
+    res.writeHead(200, h).end();
+}
+
+// Bytes que trae una respuesta 200/206 del proveedor: { start, end, size } o null si no se sabe
+function bodySpan(upRes) {
+    if (upRes.statusCode === 206) {
+        const cr = parseContentRange(upRes.headers['content-range']);
+        return cr && cr.size ? cr : null;
+    }
+    const length = +upRes.headers['content-length'];
+    return upRes.statusCode === 200 && length ? { start: 0, end: length - 1, size: length } : null;
+}
+
+const upstreamHls = movie => isPlaylist(videoType(null, movie.url));
+
+// Ligar la URL a la IP del cliente: el cliente puede pedirlo con bind=true, pero no saltarse STREAM_BIND_IP
+const bindIp = req => config.STREAM_BIND_IP || req.query.bind === 'true';
+
+// URL firmada y con caducidad para el modo pedido ('stream', 'remux' o 'hls'); `audio` elige pista en remux/HLS
+function playUrl(req, movie, route, audio = req.query.audio) {
+    const bind = bindIp(req);
+    // Si el proveedor ya sirve HLS (canales en directo) basta con el proxy, que reescribe la lista
+    if (route === 'hls' && upstreamHls(movie)) route = 'stream';
+    // Las listas HLS se recargan durante toda la reproducción con esta misma firma
+    const expiresIn = route === 'hls' || upstreamHls(movie) ? hlsTtl : undefined;
+    const params = signer.sign(route + ':' + movie.id, { ip: bind && req.ip, expiresIn });
+    const base = route === 'hls' ? `/hls/${movie.id}/master.m3u8` : `/${route}/${movie.id}`;
+    const query = new URLSearchParams(params);
+    if (route !== 'stream' && audio !== undefined && audio !== null && /^\d+$/.test(audio)) query.set('audio', audio);
+    return { url: base + '?' + query, expires: +params.exp, boundIp: bind };
+}
+
+// Pista de audio para un cliente: la pedida por índice o, si no, la del idioma (y nombre) que prefiere
+function chooseAudio(info, { audioTrack, audioLang, audioLabel } = {}) {
+    if (!info || !info.audio.length) return null;
+    if (audioTrack !== undefined && audioTrack !== null && info.audio.some(a => a.index === +audioTrack)) return +audioTrack;
+    const tracks = audioTracks(info).filter(a => audioLang && a.language === audioLang);
+    const match = tracks.find(a => a.label === audioLabel) || tracks[0];
+    return match ? match.index : null;
+}
+
+// Devuelve una URL firmada y con caducidad para reproducir un título
+app.get('/api/play-url/:id', async (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    if (!limiter.available(accountKey(movie.url))) return streamsBusy(res, new LimitError('limite', accountKey(movie.url), config.PROVIDER_MAX_STREAMS));
+    // mode=remux: el navegador no puede con el contenedor o los códecs y se pasa por ffmpeg; mode=hls: empaquetado HLS
+    // audio=N: en remux y HLS se sirve solo esa pista de audio
+    const route = ['remux', 'hls'].includes(req.query.mode) ? req.query.mode : 'stream';
+    const body = { status: 'ok', ...playUrl(req, movie, route) };
+    if (route === 'hls' && !upstreamHls(movie)) {
+        // Sin ffmpeg o sin duración no hay HLS: el cliente pasa a reproducción directa
+        const info = await probeMovie(res, movie);
+        if (!info) return;
+        if (!info.duration) return res.status(415).json({ status: 'error', message: 'No se conoce la duración del vídeo' });
+    }
+    // El <video> solo ve la duración desde el punto de arranque: el reproductor necesita la total
+    if (route === 'remux') body.duration = await media.info(movie).then(i => i.duration, () => null);
+    res.json(body);
+});
+
+// Cuerpo JSON pequeño; si no se puede leer se responde 400 en JSON, como el resto de la API
+const parseJson = express.json({ limit: '16kb' });
+function jsonBody(req, res, next) {
+    parseJson(req, res, err => err ? res.status(err.status || 400).json({ status: 'error', message: 'Cuerpo no válido' }) : next());
+}
+
+/**
+ * Decide cómo reproducir un título con lo que el navegador dice que soporta (canPlayType/MSE en el
+ * cuerpo: { hls, containers, video, audio, audioTracks }, más la pista de audio preferida como
+ * audioTrack o audioLang/audioLabel) y devuelve el modo con su URL firmada, las pistas de audio y
+ * la elegida, o "unplayable" con el motivo.
+ */
+app.post('/api/play/:id', jsonBody, async (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    if (!limiter.available(accountKey(movie.url))) return streamsBusy(res, new LimitError('limite', accountKey(movie.url), config.PROVIDER_MAX_STREAMS));
+    const caps = req.body && typeof req.body === 'object' ? req.body : {};
+    const live = upstreamHls(movie);
+    const info = live ? null : await media.info(movie).catch(() => null);
+    const audio = chooseAudio(info, caps);
+    const decision = decide(info, caps, { upstreamHls: live, transcodeVideo: config.REMUX_TRANSCODE_VIDEO, audio });
+    if (decision.method === 'unplayable') return res.json({ status: 'ok', ...decision });
+    const route = { direct: 'stream', remux: 'remux', hls: 'hls' }[decision.method];
+    const track = info && pickAudio(info, audio);
+    const body = { status: 'ok', ...decision, ...playUrl(req, movie, route, track ? String(track.index) : null) };
+    if (info && info.duration) body.duration = info.duration;
+    if (info) Object.assign(body, { audio: audioTracks(info), audioTrack: track ? track.index : null });
+    res.json(body);
+});
+
+// El cliente solo conoce el id: la URL del proveedor (con usuario y contraseña) no sale del servidor
+app.get('/stream/:id', requireSignature(req => (req.query.bg === '1' ? 'bg:' : 'stream:') + req.params.id), (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    if (req.query.bg === '1') return proxyBackground(req, res, movie.url);
+    proxyVideo(req, res, movie.url, `${movie.id} · ${movie.title}`);
+});
+
+/**
+ * Lectura de una tarea en segundo plano (análisis, miniaturas): sin hueco libre con el proveedor se
+ * responde 429 en vez de esperar en la cola de los espectadores, y no pasa por la caché ni por las
+ * descargas compartidas, para no echar de la caché lo que alguien está viendo.
+ */
+async function proxyBackground(req, res, target) {
+    const ac = new AbortController();
+    res.on('close', () => ac.abort());
+    let up;
+    try { up = await upstream.open(target, { range: req.headers.range, signal: ac.signal, resume: true, queue: false }); } catch (e) { return upstreamError(req, res, e); }
+    const h = { 'Content-Type': videoType(up.headers['content-type'], target) };
+    for (const name of ['content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified']) if (up.headers[name]) h[name] = up.headers[name];
+    res.writeHead(up.statusCode, h);
+    up.body.pipe(res);
+    up.body.on('error', () => res.destroy());
+}
+
+// ffmpeg lee del propio /stream (caché, límite de conexiones y reanudación incluidos), no del proveedor
+function localStreamUrl(movie) {
+    return `http://127.0.0.1:${PORT}/stream/${movie.id}?` + new URLSearchParams(signer.sign('stream:' + movie.id));
+}
+
+// Lo mismo para las tareas en segundo plano (ver proxyBackground)
+function backgroundInput(movie) {
+    return mediaLocalFile(movie) || `http://127.0.0.1:${PORT}/stream/${movie.id}?bg=1&` + new URLSearchParams(signer.sign('bg:' + movie.id));
+}
+
+// Copia local del fichero en MEDIA_LIBRARY_DIR (mismo nombre que en la URL del proveedor), si la hay
+function mediaLocalFile(movie) {
+    if (!config.MEDIA_LIBRARY_DIR) return null;
+    let name;
+    try { name = path.basename(decodeURIComponent(new URL(movie.url).pathname)); } catch { return null; }
+    const file = path.join(config.MEDIA_LIBRARY_DIR, name);
+    return name && fs.existsSync(file) ? file : null;
+}
+
+const mediaInput = movie => mediaLocalFile(movie) || localStreamUrl(movie);
+
+// Códecs y duración del título; null si ya se respondió con el error
+async function probeMovie(res, movie) {
+    try {
+        return await media.info(movie);
+    } catch (e) {
+        if (e.code === 'ENOENT') res.status(501).json({ status: 'error', message: 'ffmpeg no disponible' });
+        else {
+            console.error(`ffprobe ${movie.id}:`, e.message);
+            res.status(502).json({ status: 'error', message: 'No se pudo analizar el vídeo' });
+        }
+        return null;
+    }
+}
+
+function remuxError(res, e) {
+    if (!(e instanceof RemuxError)) throw e;
+    if (e.status === 503) res.setHeader('Retry-After', '10');
+    res.status(e.status).json({ status: 'error', message: e.message, reason: e.reason });
+}
+
+// MP4 fragmentado generado al vuelo; ?t=segundos arranca desde ese punto (así se busca)
+app.get('/remux/:id', requireSignature(req => 'remux:' + req.params.id), async (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    const input = mediaInput(movie);
+    const info = await probeMovie(res, movie);
+    if (!info) return;
+    const t = Math.max(0, Math.min(+req.query.t || 0, info.duration || Infinity));
+    const h = { 'Content-Type': 'video/mp4', 'Accept-Ranges': 'none', 'Cache-Control': 'no-store', 'X-Start-Offset': String(t) };
+    if (info.duration) h['X-Content-Duration'] = String(info.duration);
+    if (req.method === 'HEAD') return res.writeHead(200, h).end();
+    if (res.destroyed) return;
+
+    let child;
+    try {
+        child = remuxer.start(input, info, { start: t, audio: req.query.audio });
+    } catch (e) { return remuxError(res, e); }
+    child.on('error', e => {
+        console.error('ffmpeg:', e.message);
+        if (res.headersSent) return res.destroy();
+        res.status(e.code === 'ENOENT' ? 501 : 502).json({ status: 'error', message: 'ffmpeg no disponible' });
+    });
+    child.stdout.once('data', () => res.writeHead(200, h));
+    child.stdout.pipe(res, { end: false });
+    child.on('close', code => {
+        if (code === 0) return res.end();
+        if (res.headersSent) return res.destroy();
+        res.status(502).json({ status: 'error', message: 'Falló la conversión del vídeo' });
+    });
+    res.on('close', () => child.kill('SIGKILL'));
+});
+
+// HLS del título: master.m3u8 → index.m3u8 → seg-N.ts, todos con la misma firma en la query
+app.get('/hls/:id/:file', requireSignature(req => 'hls:' + req.params.id), async (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    const { file } = req.params;
+    const seg = /^seg-(\d+)\.ts$/.exec(file);
+    if (!seg && file !== 'master.m3u8' && file !== 'index.m3u8') return res.status(404).end();
+    const input = mediaInput(movie);
+    const info = await probeMovie(res, movie);
+    if (!info) return;
+    const query = new URLSearchParams(['exp', 'sig', 'b', 'audio'].filter(k => req.query[k]).map(k => [k, req.query[k]]));
+    const audio = pickAudio(info, req.query.audio);
+    try {
+        if (!seg) {
+            const body = file === 'master.m3u8' ? hls.master(info, query)
+                : await hls.playlist(movie.url, input, info, query, { audio: audio ? audio.index : null });
+            return res.type('application/vnd.apple.mpegurl').set('Cache-Control', 'no-store').send(body);
+        }
+        const segFile = await hls.segment(movie.url, input, info, +seg[1], { audio: audio ? audio.index : null });
+        if (!segFile) return res.status(404).end();
+        res.sendFile(segFile, { headers: { 'Content-Type': 'video/mp2t' } });
+    } catch (e) {
+        if (e instanceof RemuxError) return remuxError(res, e);
+        console.error(`HLS ${movie.id}/${file}:`, e.message);
+        res.status(e.code === 'ENOENT' ? 501 : 502).json({ status: 'error', message: 'No se pudo generar el segmento' });
+    }
+});
+
+// Subtítulos del título (pistas internas de texto y ficheros hermanos en el proveedor) con su URL WebVTT firmada
+app.get('/api/subtitles/:id', async (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    if (upstreamHls(movie)) return res.json({ status: 'ok', data: [] });
+    const info = await media.info(movie).catch(() => null);
+    let tracks;
+    try { tracks = await subtitles.list(movie, info); } catch (e) { return upstreamError(req, res, e); }
+    const bind = bindIp(req);
+    const params = new URLSearchParams(signer.sign('sub:' + movie.id, { ip: bind && req.ip }));
+    res.json({ status: 'ok', data: tracks.map(t => ({ ...t, url: `/subtitles/${movie.id}/${t.id}.vtt?${params}` })) });
+});
+
+// ?t=segundos adelanta las marcas para el remux, cuyo vídeo empieza en ese punto
+app.get('/subtitles/:id/:track.vtt', requireSignature(req => 'sub:' + req.params.id), async (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    const info = await media.info(movie).catch(() => null);
+    let text;
+    try {
+        text = await subtitles.vtt(movie, info, req.params.track, mediaInput(movie));
+    } catch (e) {
+        if (e instanceof RemuxError) return remuxError(res, e);
+        if (['EPOLICY', 'ELIMIT', 'EREDIRECT'].includes(e.code)) return upstreamError(req, res, e);
+        console.error(`Subtítulos ${movie.id}/${req.params.track}:`, e.message);
+        return res.status(e.code === 'ENOENT' ? 501 : 502).json({ status: 'error', message: 'No se pudo obtener el subtítulo' });
+    }
+    if (text === null) return res.status(404).json({ status: 'error', message: 'Subtítulo no encontrado' });
+    res.type('text/vtt; charset=utf-8').set('Cache-Control', 'private, max-age=3600').send(shiftVtt(text, Math.max(0, +req.query.t || 0)));
+});
+
+// Miniaturas para la vista previa al buscar: las pone en cola si faltan y, si ya están, da la URL firmada del índice
+app.get('/api/trickplay/:id', (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    if (upstreamHls(movie)) return res.json({ status: 'ok', state: 'unavailable' });
+    const { state } = trickplay.request(movie);
+    if (state !== 'ready') return res.json({ status: 'ok', state });
+    const bind = bindIp(req);
+    const params = new URLSearchParams(signer.sign('thumb:' + movie.id, { ip: bind && req.ip }));
+    res.json({ status: 'ok', state, url: `/trickplay/${movie.id}/index.vtt?${params}` });
+});
+
+// index.vtt (WebVTT con #xywh) y sprite-N.jpg, con la misma firma en la query
+app.get('/trickplay/:id/:file', requireSignature(req => 'thumb:' + req.params.id), (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    const { file } = req.params;
+    if (file === 'index.vtt') {
+        const query = new URLSearchParams(['exp', 'sig', 'b'].filter(k => req.query[k]).map(k => [k, req.query[k]]));
+        const body = trickplay.index(movie, query);
+        if (body === null) return res.status(404).json({ status: 'error', message: 'Miniaturas no generadas' });
+        return res.type('text/vtt; charset=utf-8').set('Cache-Control', 'private, max-age=3600').send(body);
+    }
+    const sheet = /^sprite-(\d+)\.jpg$/.exec(file);
+    const sprite = sheet && trickplay.sprite(movie, +sheet[1]);
+    if (!sprite) return res.status(404).end();
+    res.sendFile(sprite, { headers: { 'Content-Type': 'image/jpeg', 'Cache-Control': 'private, max-age=86400' } });
+});
+
+// Cartel del título desde la caché en disco; ?w=ancho sirve una versión reducida. Si no hay imagen, un cartel con el título
+app.get('/img/:id', async (req, res) => {
+    const movie = req.movie;
+    if (!movie) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    const width = Math.max(0, Math.floor(+req.query.w || 0));
+    let image = null;
+    if (movie.poster) {
+        try { image = await images.get(movie.poster, width); } catch (e) {
+            if (e.code === 'EPOLICY') console.warn(`⛔ Cartel bloqueado [${e.reason}] ${e.host}`);
+        }
+    }
+    if (!image) {
+        // Poco tiempo en caché: la imagen puede volver a estar disponible
+        return res.type('image/svg+xml').set('Cache-Control', 'public, max-age=300').send(placeholder(movie.title, width || undefined));
+    }
+    res.sendFile(image.file, { headers: { 'Content-Type': image.type, 'Cache-Control': 'public, max-age=604800' } });
+});
+
+// Solo acepta URLs firmadas por el propio servidor (p. ej. los saltos de redirección)
+app.get('/video-proxy', requireSignature(req => String(req.query.url || '')), (req, res) => {
+    proxyVideo(req, res, req.query.url);
+});
+
+app.get('/admin/cache', requireAdmin, (req, res) => {
+    res.json({ status: 'ok', stats: cache.stats(), entries: cache.list(), images: images.stats() });
+});
+
+app.delete('/admin/cache/:key?', requireAdmin, (req, res) => {
+    res.json({ status: 'ok', purged: cache.purge(req.params.key) });
+});
+
+app.get('/admin/streams', requireAdmin, (req, res) => {
+    res.json({ status: 'ok', stats: limiter.stats() });
+});
+
+app.get('/admin/upstream', requireAdmin, (req, res) => {
+    res.json({ status: 'ok', stats: agents.stats(), coalescing: coalescer.stats() });
+});
+
+app.get('/admin/media', requireAdmin, (req, res) => {
+    res.json({ status: 'ok', stats: media.stats(), subtitles: subtitles.stats() });
+});
+
+// Estado de los enlaces del catálogo; ?dead=true solo los caídos
+app.get('/admin/health', requireAdmin, (req, res) => {
+    const entries = health.report(MOVIES);
+    res.json({ status: 'ok', stats: health.stats(), entries: req.query.dead === 'true' ? entries.filter(e => e.dead) : entries });
+});
+
+// Comprueba un título ahora, sin esperar a su turno
+app.post('/admin/health/:id', requireAdmin, async (req, res) => {
+    const movie = req.movie;
+    if (!movie || !movie.url) return res.status(404).json({ status: 'error', message: 'Película no encontrada' });
+    const result = await health.check(movie);
+    if (!result) return res.status(429).json({ status: 'error', message: 'Demasiadas reproducciones en uso' });
+    res.json({ status: 'ok', id: movie.id, health: result });
+});
+
+app.get('/admin/catalog', requireAdmin, (req, res) => {
+    const { pending, hash, loadedAt, ...state } = catalog;
+    res.json({ status: 'ok', sources: SOURCES.map(redactSource), vodInfo: vodInfo.stats(), titles: MOVIES.length, loadedAt: loadedAt && new Date(loadedAt).toISOString(), watching: config.CATALOG_WATCH, ...state });
+});
+
+// Recarga el catálogo ahora; 422 si una fuente no es válida (el catálogo en uso no cambia)
+app.post('/admin/catalog/reload', requireAdmin, async (req, res) => {
+    try {
+        const diff = await reloadCatalog('admin');
+        res.json({ status: 'ok', reloaded: !!diff, titles: MOVIES.length, ...(diff || { added: [], removed: [], changed: [] }) });
+    } catch (e) {
+        res.status(e instanceof CatalogError ? 422 : 500).json({ status: 'error', message: e.message });
+    }
+});
+
+app.get('/admin/redirects', requireAdmin, (req, res) => {
+    res.json({ status: 'ok', redirects: redirects.list() });
+});
+
+app.get('/admin/remux', requireAdmin, (req, res) => {
+    res.json({ status: 'ok', stats: remuxer.stats(), hls: hls.stats(), trickplay: trickplay.stats() });
+});
+
+// hls.js para el reproductor, desde node_modules (versión fija en package.json): sin CDN ni dependencia de Internet
+app.get('/vendor/hls.min.js', (req, res) => {
+    let file;
+    try { file = require.resolve('hls.js/dist/hls.min.js'); } catch { return res.status(404).end(); }
+    res.sendFile(file, { headers: { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'public, max-age=86400' } });
 });
 
 app.get('/', (req, res) => res.send(`<!DOCTYPE html><html lang="es"><head>
@@ -80,6 +879,9 @@ html,body{background:var(--bg);color:var(--t);font-family:system-ui,sans-serif;h
 .card img.loaded{opacity:1}
 .card-t{position:absolute;bottom:0;left:0;right:0;padding:20px 6px 6px;background:linear-gradient(transparent,#000);font-size:11px;font-weight:600;opacity:0;transform:translateY(5px);transition:opacity 0.2s, transform 0.2s}
 .card.f .card-t{opacity:1;transform:translateY(0)}
+.card-b{position:absolute;top:4px;right:4px;display:flex;gap:3px}
+.card-b span{background:rgba(0,0,0,.75);font-size:9px;font-weight:700;padding:2px 4px;border-radius:3px}
+.card-b .w{color:#f90}
 .player{position:fixed;inset:0;background:#000;z-index:200;display:none}
 .player.open{display:flex;flex-direction:column}
 video{flex:1;width:100%;background:#000}
@@ -95,10 +897,17 @@ video{flex:1;width:100%;background:#000}
 .p-bar{flex:1;height:5px;background:#444;border-radius:3px;position:relative;cursor:pointer}
 .p-bar-fill{position:absolute;left:0;top:0;height:100%;background:var(--p);border-radius:3px}
 .p-bar-buf{position:absolute;left:0;top:0;height:100%;background:#666;border-radius:3px;z-index:-1}
+.p-thumb{position:absolute;bottom:14px;transform:translateX(-50%);border:2px solid #fff;border-radius:3px;background-repeat:no-repeat;box-shadow:0 2px 8px #000;display:none;pointer-events:none}
+.p-thumb.show{display:block}
 .p-ctrl{display:flex;justify-content:center;gap:10px}
 .p-btn{width:44px;height:44px;background:rgba(255,255,255,.1);border:none;border-radius:50%;color:#fff;font-size:13px;font-weight:700;cursor:pointer;transition:background 0.2s}
 .p-btn:hover,.p-btn:active,.p-btn.f{background:var(--p);color:#000}
 .p-btn.main{width:52px;height:52px;font-size:18px}
+.p-menu{position:absolute;right:12px;bottom:120px;min-width:170px;max-height:60%;overflow:auto;background:rgba(0,0,0,.85);border-radius:6px;padding:6px 0;display:none}
+.p-menu.show{display:block}
+.p-menu div{padding:8px 14px;font-size:13px;cursor:pointer}
+.p-menu div.on::before{content:'✓ '}
+.p-menu div.f{background:var(--p);color:#000}
 .p-load,.p-err{position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);text-align:center;display:none}
 .p-load.show,.p-err.show{display:block}
 .p-spin{width:36px;height:36px;border:3px solid #333;border-top-color:var(--p);border-radius:50%;animation:spin .8s linear infinite;margin:0 auto 10px}
@@ -119,11 +928,12 @@ video{flex:1;width:100%;background:#000}
 <div class="p-load" id="pLoad"><div class="p-spin"></div><div id="pLoadTxt">Cargando...</div></div>
 <div class="p-err" id="pErr"><div>Error</div><div style="font-size:11px;color:#888;margin:8px 0" id="pErrTxt"></div><button class="btn" id="pRetry">Reintentar</button> <button class="btn" id="pBack">Volver</button></div>
 <div class="p-center" id="pInd"></div>
+<div class="p-menu" id="pMenu"></div>
 <div class="p-ui" id="pUi">
 <div class="p-top"><div class="p-title" id="pTitle"></div></div>
 <div class="p-bottom">
-<div class="p-prog"><span class="p-time" id="pCur">0:00</span><div class="p-bar" id="pBar"><div class="p-bar-buf" id="pBuf"></div><div class="p-bar-fill" id="pFill"></div></div><span class="p-time" id="pDur">0:00</span></div>
-<div class="p-ctrl"><button class="p-btn" id="pRw">-10</button><button class="p-btn main" id="pPp">▶</button><button class="p-btn" id="pFw">+10</button></div>
+<div class="p-prog"><span class="p-time" id="pCur">0:00</span><div class="p-bar" id="pBar"><div class="p-bar-buf" id="pBuf"></div><div class="p-bar-fill" id="pFill"></div><div class="p-thumb" id="pThumb"></div></div><span class="p-time" id="pDur">0:00</span></div>
+<div class="p-ctrl"><button class="p-btn" id="pRw">-10</button><button class="p-btn main" id="pPp">▶</button><button class="p-btn" id="pFw">+10</button><button class="p-btn" id="pCc" style="display:none">CC</button><button class="p-btn" id="pAu" style="display:none">♪</button></div>
 </div></div></div></div>
 <script>
 (function(){
@@ -133,11 +943,20 @@ const el={
     player:$('player'), vid:$('vid'), pUi:$('pUi'), pTitle:$('pTitle'), pLoad:$('pLoad'), 
     pLoadTxt:$('pLoadTxt'), pErr:$('pErr'), pErrTxt:$('pErrTxt'), pInd:$('pInd'), pBar:$('pBar'), 
     pFill:$('pFill'), pBuf:$('pBuf'), pCur:$('pCur'), pDur:$('pDur'), pRw:$('pRw'), pPp:$('pPp'), 
-    pFw:$('pFw'), pRetry:$('pRetry'), pBack:$('pBack')
+    pFw:$('pFw'), pRetry:$('pRetry'), pBack:$('pBack'), pCc:$('pCc'), pAu:$('pAu'), pMenu:$('pMenu'), pThumb:$('pThumb')
 };
 
+function readJson(key) {
+    try { return JSON.parse(localStorage.getItem(key)); } catch(e) { return null; }
+}
+
 const S={
-    view:'home', movies:[], focus:null, lastFocus:null, playing:false, retry:0,
+    view:'home', movies:[], focus:null, lastFocus:null, playing:false, retry:0, current:null,
+    mode:'direct', offset:0, duration:0, seekTo:null, seekTimer:null, // mode 'remux': el vídeo empieza en "offset" segundos
+    hls:null, hlsLib:null,
+    subs:[], subLang:localStorage.getItem('subLang'), ctrl:-1, menu:-1, menuPick:null, // ctrl/menu: índice con foco (-1 = ninguno)
+    audio:[], audioTrack:null, audioPref:readJson('audioPref'), // audioPref: {language, label} de la última pista elegida
+    thumbs:[], thumbTimer:null, // miniaturas para la vista previa al buscar: [{start, end, url, x, y, w, h}]
     imgObserver:null, gridCols:0, currentIndex:-1,
     headerElements:[], // Logo, Search, Mix - en orden de navegación
     headerIndex:0 // Índice actual en el header
@@ -151,7 +970,7 @@ function init() {
     // Configurar elementos del header
     S.headerElements = [el.logo, el.srch, el.mix];
 
-    fetch('/api/movies?limit=200&random=true').then(r=>r.json()).then(d=>{
+    fetch('/api/movies?limit=200&random=true&available=true').then(r=>r.json()).then(d=>{
         el.stats.textContent=d.total+' películas';
         el.grid.innerHTML='';
         S.movies=d.data;
@@ -517,7 +1336,7 @@ el.mix.onclick = () => loadMovies(true);
 function loadMovies(random) {
     el.grid.innerHTML = '<div class="msg load">Cargando</div>';
     const q = el.srch.value.trim();
-    fetch('/api/movies?limit=200' + (q ? '&q=' + encodeURIComponent(q) : '') + (random ? '&random=true' : ''))
+    fetch('/api/movies?limit=200&available=true' + (q ? '&q=' + encodeURIComponent(q) : '') + (random ? '&random=true' : ''))
         .then(r => r.json())
         .then(d => {
             el.grid.innerHTML = '';
@@ -557,8 +1376,10 @@ function mkCard(m) {
     d.className = 'card';
     d.tabIndex = -1;
 
-    const posterSrc = m.poster || '';
+    // El servidor guarda el cartel y lo sirve al tamaño de la tarjeta (o uno generado si no hay)
+    const posterSrc = '/img/' + encodeURIComponent(m.id) + '?w=' + Math.round(200 * (window.devicePixelRatio || 1));
     d.innerHTML = '<img data-src="' + esc(posterSrc) + '" alt="' + esc(m.title) + '">' +
+                  badges(m.media) +
                   '<div class="card-t">' + esc(m.title) + '</div>';
 
     d.onclick = () => {
@@ -569,6 +1390,16 @@ function mkCard(m) {
     return d;
 }
 
+// Distintivos de calidad/códec y aviso si el navegador no lo reproduce tal cual (se convertirá en el servidor)
+function badges(md) {
+    if(!md) return '';
+    const b = [];
+    if(md.quality && md.quality !== 'SD') b.push('<span>' + md.quality + '</span>');
+    if(md.videoCodec === 'hevc') b.push('<span>HEVC</span>');
+    if(!md.direct) b.push('<span class="w" title="Se convertirá al reproducir">⚠</span>');
+    return b.length ? '<div class="card-b">' + b.join('') + '</div>' : '';
+}
+
 // ===== REPRODUCTOR (sin cambios mayores) =====
 function play(m) {
     S.lastFocus = S.focus;
@@ -580,22 +1411,368 @@ function play(m) {
     el.pLoadTxt.textContent = 'Conectando...';
     el.pTitle.textContent = m.title;
     el.player.classList.add('open');
+    dropHls();
     el.vid.pause();
     el.vid.removeAttribute('src');
     el.vid.load();
+    S.current = m;
+    S.offset = S.duration = 0;
+    S.subs = [];
+    S.audio = [];
+    S.audioTrack = null;
+    el.pCc.style.display = el.pAu.style.display = 'none';
+    loadSubs(m);
+    loadThumbs(m);
+    // El servidor elige el modo y la pista de audio con lo que soporta este navegador; si no responde, se prueba en orden
+    const body = Object.assign(playCaps(), S.audioPref ? {audioLang: S.audioPref.language, audioLabel: S.audioPref.label} : {});
+    fetch('/api/play/' + encodeURIComponent(m.id), {method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body)})
+        .then(r => r.json().catch(() => ({})).then(d => r.ok ? d : Promise.reject(d.message || 'Error ' + r.status)))
+        .then(d => {
+            if(S.current !== m || S.view !== 'player') return;
+            if(d.method === 'unplayable') return showErr(d.message || 'No soportado');
+            S.mode = d.method;
+            S.audio = d.audio || [];
+            S.audioTrack = d.audioTrack !== undefined ? d.audioTrack : null;
+            el.pAu.style.display = S.audio.length > 1 ? '' : 'none';
+            load(m, 0, d);
+        }, e => {
+            if(S.current !== m || S.view !== 'player') return;
+            if(typeof e === 'string') return showErr(e);
+            S.mode = hlsSupport() ? 'hls' : 'direct';
+            load(m, 0);
+        });
+}
 
-    setTimeout(() => {
-        let u = m.url;
-        if(u.startsWith('http://') || location.protocol === 'https:') {
-            u = '/video-proxy?url=' + encodeURIComponent(u);
+// ===== SUBTÍTULOS =====
+function loadSubs(m) {
+    fetch('/api/subtitles/' + encodeURIComponent(m.id))
+        .then(r => r.ok ? r.json() : {data: []})
+        .then(d => {
+            if(S.current !== m) return;
+            S.subs = d.data || [];
+            el.pCc.style.display = S.subs.length ? '' : 'none';
+            attachSubs();
+        })
+        .catch(() => {});
+}
+
+const subKey = t => t.language || t.label;
+
+// Un <track> por subtítulo; en remux se piden desplazados al punto de arranque del vídeo
+function attachSubs() {
+    el.vid.querySelectorAll('track').forEach(t => t.remove());
+    const shift = S.mode === 'remux' && S.offset ? '&t=' + S.offset.toFixed(1) : '';
+    S.subs.forEach(s => {
+        const tr = document.createElement('track');
+        tr.kind = 'subtitles';
+        tr.label = s.label;
+        if(s.language) tr.srclang = s.language;
+        tr.src = s.url + shift;
+        el.vid.appendChild(tr);
+    });
+    applySub();
+}
+
+function applySub() {
+    const tracks = el.vid.querySelectorAll('track');
+    S.subs.forEach((s, i) => {
+        if(tracks[i]) tracks[i].track.mode = S.subLang && subKey(s) === S.subLang ? 'showing' : 'disabled';
+    });
+}
+
+// El idioma elegido se recuerda para los siguientes títulos ('off' = sin subtítulos)
+function chooseSub(i) {
+    S.subLang = i < 0 ? 'off' : subKey(S.subs[i]);
+    localStorage.setItem('subLang', S.subLang);
+    applySub();
+    closeMenu();
+    showInd(i < 0 ? 'Sin subtítulos' : S.subs[i].label);
+}
+
+function subMenu() {
+    if(!S.subs.length) return;
+    const cur = S.subs.findIndex(s => subKey(s) === S.subLang);
+    openMenu(['Desactivados', ...S.subs.map(s => s.label)], cur + 1, i => chooseSub(i - 1));
+}
+
+// ===== MINIATURAS =====
+// El servidor las genera en segundo plano la primera vez: mientras tanto se vuelve a preguntar cada poco
+function loadThumbs(m) {
+    S.thumbs = [];
+    fetch('/api/trickplay/' + encodeURIComponent(m.id))
+        .then(r => r.ok ? r.json() : {})
+        .then(d => {
+            if(S.current !== m || S.view !== 'player') return;
+            if(d.state === 'queued' || d.state === 'generating') return setTimeout(() => S.current === m && loadThumbs(m), 20000);
+            if(d.state !== 'ready') return;
+            return fetch(d.url).then(r => r.ok ? r.text() : '').then(text => {
+                if(S.current === m) S.thumbs = parseThumbs(text, new URL(d.url, location.href));
+            });
+        })
+        .catch(() => {});
+}
+
+// WebVTT de miniaturas: cada entrada apunta a una hoja con #xywh=x,y,ancho,alto
+function parseThumbs(text, base) {
+    const secs = t => t.split(':').reduce((n, p) => n * 60 + +p, 0);
+    return text.split(/\\n\\n+/).map(block => {
+        const m = /([\\d:.]+) --> ([\\d:.]+)\\n(.+)#xywh=(\\d+),(\\d+),(\\d+),(\\d+)/.exec(block);
+        return m && {start: secs(m[1]), end: secs(m[2]), url: new URL(m[3], base).href, x: +m[4], y: +m[5], w: +m[6], h: +m[7]};
+    }).filter(Boolean);
+}
+
+// Vista previa del segundo t sobre la barra; se oculta sola al dejar de buscar
+function preview(t) {
+    const c = S.thumbs.find(c => t >= c.start && t < c.end) || (t >= 0 && S.thumbs[S.thumbs.length - 1]);
+    const d = totalTime();
+    if(!c || !d) return;
+    const st = el.pThumb.style, half = c.w / 2 + 2, width = el.pBar.clientWidth;
+    st.width = c.w + 'px';
+    st.height = c.h + 'px';
+    st.backgroundImage = 'url("' + c.url + '")';
+    st.backgroundPosition = -c.x + 'px ' + -c.y + 'px';
+    st.left = Math.max(half, Math.min(width - half, t / d * width)) + 'px';
+    el.pThumb.classList.add('show');
+    clearTimeout(S.thumbTimer);
+    S.thumbTimer = setTimeout(hidePreview, 1200);
+}
+
+function hidePreview() {
+    clearTimeout(S.thumbTimer);
+    el.pThumb.classList.remove('show');
+}
+
+// ===== AUDIO =====
+// En directo el navegador cambia de pista si sabe (audioTracks); si no, el servidor la elige al convertir
+function nativeAudio() {
+    return S.mode === 'direct' && el.vid.audioTracks && el.vid.audioTracks.length === S.audio.length ? el.vid.audioTracks : null;
+}
+
+function applyAudio() {
+    const tracks = nativeAudio(), cur = S.audio.findIndex(a => a.index === S.audioTrack);
+    if(!tracks || cur < 0) return;
+    for(let i = 0; i < tracks.length; i++) tracks[i].enabled = i === cur;
+}
+
+// La pista elegida (idioma y nombre) se recuerda para los siguientes títulos
+function chooseAudio(i) {
+    const a = S.audio[i];
+    closeMenu();
+    if(!a || a.index === S.audioTrack) return;
+    S.audioTrack = a.index;
+    S.audioPref = {language: a.language, label: a.label};
+    localStorage.setItem('audioPref', JSON.stringify(S.audioPref));
+    showInd(a.label);
+    if(nativeAudio()) return applyAudio();
+    if(S.mode === 'direct') S.mode = 'remux';
+    el.pLoad.classList.add('show');
+    el.pLoadTxt.textContent = 'Cambiando audio...';
+    load(S.current, curTime());
+}
+
+function audioMenu() {
+    if(S.audio.length < 2) return;
+    const cur = S.audio.findIndex(a => a.index === S.audioTrack);
+    openMenu(S.audio.map(a => a.label), cur, chooseAudio);
+}
+
+// Menú de opciones: labels, índice de la actual y pick(i) al elegir
+function openMenu(labels, cur, pick) {
+    S.menuPick = pick;
+    el.pMenu.innerHTML = '';
+    labels.forEach((label, i) => {
+        const d = document.createElement('div');
+        d.textContent = label;
+        if(i === cur) d.className = 'on';
+        d.onclick = e => { e.stopPropagation(); pick(i); };
+        el.pMenu.appendChild(d);
+    });
+    el.pMenu.classList.add('show');
+    menuFocus(Math.max(0, cur));
+}
+
+function closeMenu() {
+    el.pMenu.classList.remove('show');
+    S.menu = -1;
+    S.menuPick = null;
+}
+
+function menuFocus(i) {
+    const items = [...el.pMenu.children];
+    S.menu = Math.max(0, Math.min(i, items.length - 1));
+    items.forEach((d, j) => d.classList.toggle('f', j === S.menu));
+    items[S.menu].scrollIntoView({block:'nearest'});
+}
+
+function menuKey(k) {
+    if(k === 'ArrowUp') menuFocus(S.menu - 1);
+    else if(k === 'ArrowDown') menuFocus(S.menu + 1);
+    else if(k === 'Enter' || k === ' ') S.menuPick(S.menu);
+    else if(k === 'Escape' || k === 'Backspace' || k === 'ArrowLeft') closeMenu();
+}
+
+// Fila de botones del reproductor: se entra con abajo y se sale con arriba
+const ctrls = () => [el.pRw, el.pPp, el.pFw, el.pCc, el.pAu].filter(b => b.style.display !== 'none');
+
+function ctrlFocus(i) {
+    const list = ctrls();
+    S.ctrl = i < 0 ? -1 : Math.max(0, Math.min(i, list.length - 1));
+    [el.pRw, el.pPp, el.pFw, el.pCc, el.pAu].forEach(b => b.classList.toggle('f', b === list[S.ctrl]));
+}
+
+function ctrlKey(k) {
+    if(k === 'ArrowLeft') ctrlFocus(S.ctrl - 1);
+    else if(k === 'ArrowRight') ctrlFocus(S.ctrl + 1);
+    else if(k === 'Enter' || k === ' ') ctrls()[S.ctrl].click();
+    else if(k === 'ArrowUp' || k === 'Escape' || k === 'Backspace') ctrlFocus(-1);
+}
+
+// Formatos que este navegador reproduce, para que el servidor decida cómo servir el título
+function playCaps() {
+    const can = t => el.vid.canPlayType(t) !== '';
+    return {
+        hls: hlsSupport(), audioTracks: !!el.vid.audioTracks,
+        containers: {mp4: can('video/mp4'), webm: can('video/webm'), mkv: can('video/x-matroska')},
+        video: {
+            h264: can('video/mp4; codecs="avc1.640028"'), hevc: can('video/mp4; codecs="hvc1.1.6.L120.90"'),
+            vp8: can('video/webm; codecs="vp8"'), vp9: can('video/webm; codecs="vp9"'), av1: can('video/mp4; codecs="av01.0.08M.08"')
+        },
+        audio: {
+            aac: can('audio/mp4; codecs="mp4a.40.2"'), mp3: can('audio/mpeg'), opus: can('audio/webm; codecs="opus"'),
+            vorbis: can('audio/webm; codecs="vorbis"'), flac: can('audio/flac'), ac3: can('audio/mp4; codecs="ac-3"'), eac3: can('audio/mp4; codecs="ec-3"')
         }
-        el.vid.src = u;
+    };
+}
+
+// Carga el título desde el segundo t; en modo remux el servidor arranca ffmpeg en ese punto. d: URL ya firmada
+function load(m, t, d) {
+    clearTimeout(S.seekTimer);
+    S.seekTo = null;
+    dropHls();
+    (d ? Promise.resolve(d) : streamUrl(m, S.mode)).then(d => {
+        if(S.current !== m || S.view !== 'player') return;
+        const remux = S.mode === 'remux', u = d.url;
+        S.offset = remux ? t : 0;
+        S.duration = remux ? d.duration || 0 : 0;
+        if(S.mode === 'hls' && hlsSupport() === 'mse') return attachHls(m, u, t);
+        el.vid.src = remux && t ? u + '&t=' + t.toFixed(1) : u;
+        attachSubs();
+        el.vid.load();
+        if(!remux && t) setTimeout(() => { el.vid.currentTime = t; }, 300);
         el.vid.play().catch(playErr);
         showUI();
-    }, 50);
+    }).catch(e => {
+        if(S.current === m && S.mode === 'hls' && fallback()) return;
+        showErr(typeof e === 'string' ? e : 'Sin conexión');
+    });
+}
+
+// HLS nativo (Safari, muchos navegadores de TV) o con hls.js sobre MSE
+function hlsSupport() {
+    if(el.vid.canPlayType('application/vnd.apple.mpegurl')) return 'native';
+    return window.MediaSource && MediaSource.isTypeSupported('video/mp4; codecs="avc1.42E01E,mp4a.40.2"') ? 'mse' : null;
+}
+
+// hls.js solo se descarga la primera vez que hace falta
+function loadHlsJs() {
+    if(window.Hls) return Promise.resolve(window.Hls);
+    return S.hlsLib || (S.hlsLib = new Promise((ok, ko) => {
+        const s = document.createElement('script');
+        s.src = '/vendor/hls.min.js';
+        s.onload = () => window.Hls && Hls.isSupported() ? ok(Hls) : ko();
+        s.onerror = () => { S.hlsLib = null; ko(); };
+        document.head.appendChild(s);
+    }));
+}
+
+function attachHls(m, u, t) {
+    loadHlsJs().then(Hls => {
+        if(S.current !== m || S.view !== 'player' || S.mode !== 'hls') return;
+        S.hls = new Hls({startPosition: t || -1});
+        S.hls.on(Hls.Events.ERROR, (ev, data) => { if(data.fatal) fallback(); });
+        S.hls.loadSource(u);
+        S.hls.attachMedia(el.vid);
+        attachSubs();
+        el.vid.play().catch(playErr);
+        showUI();
+    }, () => fallback());
+}
+
+function dropHls() {
+    if(!S.hls) return;
+    S.hls.destroy();
+    S.hls = null;
+}
+
+// Si un modo no funciona se pasa al siguiente: HLS → directo → conversión con ffmpeg en el servidor
+function fallback() {
+    const next = {hls:'direct', direct:'remux'}[S.mode];
+    if(!next || !S.current) return false;
+    const t = curTime();
+    S.mode = next;
+    el.pErr.classList.remove('show');
+    el.pLoad.classList.add('show');
+    el.pLoadTxt.textContent = next === 'remux' ? 'Convirtiendo...' : 'Conectando...';
+    load(S.current, t);
+    return true;
+}
+
+// Pide al servidor una URL firmada nueva (caduca, así que no se reutiliza entre reproducciones)
+function streamUrl(m, mode) {
+    const q = new URLSearchParams(mode === 'remux' || mode === 'hls' ? {mode: mode} : {});
+    if(mode !== 'direct' && S.audioTrack !== null) q.set('audio', S.audioTrack);
+    return fetch('/api/play-url/' + encodeURIComponent(m.id) + (q.toString() ? '?' + q : ''))
+        .then(r => r.json().catch(() => ({})).then(d => r.ok ? d : Promise.reject(d.message || 'Error ' + r.status)));
+}
+
+// Posición y duración reales del título (en remux el <video> solo ve desde el punto de arranque)
+function curTime() {
+    return S.seekTo !== null ? S.seekTo : S.offset + (el.vid.currentTime || 0);
+}
+
+function totalTime() {
+    return S.duration || S.offset + (el.vid.duration || 0);
+}
+
+function seekTo(t) {
+    const d = totalTime();
+    if(!d) return;
+    t = Math.max(0, Math.min(t, d));
+    preview(t);
+    if(S.mode !== 'remux') {
+        el.vid.currentTime = t;
+        return;
+    }
+    // Cada salto reinicia ffmpeg: se agrupan las pulsaciones seguidas
+    S.seekTo = t;
+    el.pFill.style.width = (t / d * 100) + '%';
+    el.pCur.textContent = fmt(t);
+    clearTimeout(S.seekTimer);
+    S.seekTimer = setTimeout(() => load(S.current, t), 600);
+}
+
+// El <video> no expone el código HTTP: se pregunta al servidor por qué falló (p. ej. 429 por límite de conexiones)
+function errReason(src) {
+    return fetch(src, {headers: {Range: 'bytes=0-0'}})
+        .then(r => r.status === 429 || r.status === 503 ? r.json().then(d => d.message) : null)
+        .catch(() => null);
+}
+
+function showErr(t) {
+    el.pErrTxt.textContent = t;
+    el.pLoad.classList.remove('show');
+    el.pErr.classList.add('show');
 }
 
 function closeP() {
+    dropHls();
+    closeMenu();
+    ctrlFocus(-1);
+    S.subs = [];
+    S.audio = [];
+    S.thumbs = [];
+    hidePreview();
+    el.vid.querySelectorAll('track').forEach(t => t.remove());
     el.vid.pause();
     el.vid.removeAttribute('src');
     el.vid.load();
@@ -656,23 +1833,26 @@ el.vid.onpause = () => {
 };
 
 el.vid.ontimeupdate = () => {
-    if(!el.vid.duration) return;
-    el.pFill.style.width = (el.vid.currentTime / el.vid.duration * 100) + '%';
-    el.pCur.textContent = fmt(el.vid.currentTime);
+    const d = totalTime();
+    if(!d || S.seekTo !== null) return;
+    el.pFill.style.width = (curTime() / d * 100) + '%';
+    el.pCur.textContent = fmt(curTime());
 };
 
-el.vid.ondurationchange = () => el.pDur.textContent = fmt(el.vid.duration);
+el.vid.onloadedmetadata = applyAudio;
+el.vid.ondurationchange = () => el.pDur.textContent = totalTime() === Infinity ? 'Directo' : fmt(totalTime());
 
 el.vid.onprogress = () => {
     try {
         if(el.vid.buffered.length) {
-            el.pBuf.style.width = (el.vid.buffered.end(el.vid.buffered.length - 1) / el.vid.duration * 100) + '%';
+            el.pBuf.style.width = ((S.offset + el.vid.buffered.end(el.vid.buffered.length - 1)) / totalTime() * 100) + '%';
         }
     } catch(e) {}
 };
 
 el.vid.onerror = () => {
     const err = el.vid.error;
+    if(err && err.code === 4 && fallback()) return;
     el.pErrTxt.textContent = err ? ['','Abortado','Red','Decode','No soportado'][err.code] || 'Error' : 'Error';
     if(err && err.code === 2 && S.retry < 2) {
         S.retry++;
@@ -681,6 +1861,8 @@ el.vid.onerror = () => {
     } else {
         el.pLoad.classList.remove('show');
         el.pErr.classList.add('show');
+        const src = el.vid.currentSrc;
+        if(src && err && err.code !== 3 && S.mode === 'direct') errReason(src).then(t => { if(t && el.vid.currentSrc === src) el.pErrTxt.textContent = t; });
     }
 };
 
@@ -693,6 +1875,7 @@ el.vid.onended = () => {
 function playErr(e) {
     if(e.name === 'NotAllowedError') showUI();
     else if(e.name === 'NotSupportedError') {
+        if(fallback()) return;
         el.pErrTxt.textContent = 'No soportado';
         el.pErr.classList.add('show');
         el.pLoad.classList.remove('show');
@@ -702,21 +1885,22 @@ function playErr(e) {
 function retry() {
     el.pErr.classList.remove('show');
     el.pLoad.classList.add('show');
-    const t = el.vid.currentTime || 0;
     el.vid.pause();
-    el.vid.load();
-    setTimeout(() => {
-        el.vid.currentTime = t;
-        el.vid.play().catch(playErr);
-    }, 300);
+    // La URL anterior puede haber caducado: load() firma otra antes de recargar
+    load(S.current, curTime());
 }
 
 function playerKey(k) {
     showUI();
+    if(S.menu >= 0) return menuKey(k);
+    if(S.ctrl >= 0) return ctrlKey(k);
     if(k === 'ArrowLeft') seek(-10);
     else if(k === 'ArrowRight') seek(10);
-    else if(k === 'ArrowUp') vol(.1);
-    else if(k === 'ArrowDown') vol(-.1);
+    else if(k === 'ArrowUp' || k === '+' || k === 'AudioVolumeUp') vol(.1);
+    else if(k === '-' || k === 'AudioVolumeDown') vol(-.1);
+    else if(k === 'ArrowDown') ctrlFocus(1);
+    else if(k === 'c' || k === 'Subtitle' || k === 'ClosedCaptionToggle') subMenu();
+    else if(k === 'a' || k === 'MediaAudioTrack') audioMenu();
     else if(k === 'Enter' || k === ' ') toggle();
     else if(k === 'Escape' || k === 'Backspace') history.back();
 }
@@ -732,8 +1916,8 @@ function toggle() {
 }
 
 function seek(s) {
-    if(!el.vid.duration) return;
-    el.vid.currentTime = Math.max(0, Math.min(el.vid.currentTime + s, el.vid.duration));
+    if(!totalTime()) return;
+    seekTo(curTime() + s);
     showInd((s > 0 ? '+' : '') + s + 's');
 }
 
@@ -755,7 +1939,9 @@ function showUI() {
     el.pUi.classList.remove('hide');
     clearTimeout(hideT);
     hideT = setTimeout(() => {
-        if(S.playing) el.pUi.classList.add('hide');
+        if(!S.playing || S.menu >= 0) return;
+        el.pUi.classList.add('hide');
+        ctrlFocus(-1);
     }, 3000);
 }
 
@@ -771,9 +1957,17 @@ function fmt(s) {
 el.pPp.onclick = toggle;
 el.pRw.onclick = () => seek(-10);
 el.pFw.onclick = () => seek(10);
+el.pCc.onclick = e => {
+    e.stopPropagation();
+    S.menu >= 0 ? closeMenu() : subMenu();
+};
+el.pAu.onclick = e => {
+    e.stopPropagation();
+    S.menu >= 0 ? closeMenu() : audioMenu();
+};
 el.pBar.onclick = e => {
     const r = el.pBar.getBoundingClientRect();
-    if(el.vid.duration) el.vid.currentTime = (e.clientX - r.left) / r.width * el.vid.duration;
+    seekTo((e.clientX - r.left) / r.width * totalTime());
 };
 el.pRetry.onclick = retry;
 el.pBack.onclick = () => history.back();
@@ -796,12 +1990,15 @@ el.vid.ontouchend = e => {
     if(Math.abs(dx) > 50 && Math.abs(dy) < 50) seek(dx > 0 ? 10 : -10);
     else showUI();
 };
+el.pBar.onmousemove = e => {
+    const r = el.pBar.getBoundingClientRect();
+    preview((e.clientX - r.left) / r.width * totalTime());
+};
+el.pBar.onmouseleave = hidePreview;
 el.pBar.ontouchstart = el.pBar.ontouchmove = e => {
     e.preventDefault();
     const r = el.pBar.getBoundingClientRect();
-    if(el.vid.duration) {
-        el.vid.currentTime = Math.max(0, Math.min(1, (e.touches[0].clientX - r.left) / r.width)) * el.vid.duration;
-    }
+    seekTo(Math.max(0, Math.min(1, (e.touches[0].clientX - r.left) / r.width)) * totalTime());
 };
 
 function esc(s) {
@@ -824,4 +2021,16 @@ window.addEventListener('resize', () => {
 })();
 </script></body></html>`));
 
-app.listen(PORT,'0.0.0.0',()=>console.log('🎬 Movies+ → Puerto '+PORT+' | '+MOVIES.length+' películas'));
+app.listen(PORT,'0.0.0.0',()=>{
+    console.log('🎬 Movies+ → Puerto '+PORT+' | '+MOVIES.length+' películas');
+    // El análisis pasa por el propio /stream, así que empieza cuando el servidor ya escucha
+    if (config.MEDIA_PROBE) media.schedule(MOVIES);
+    if (config.HEALTH_CHECK) health.schedule(MOVIES);
+    if (config.VOD_INFO) vodInfo.schedule(MOVIES);
+    if (config.CATALOG_WATCH) watchCatalog();
+    if (!syncCatalog) reloadCatalog('inicio').then(() => console.log(`✓ ${MOVIES.length} películas`), () => { });
+    // Las fuentes remotas no avisan de sus cambios: se vuelven a pedir cada CATALOG_REFRESH segundos
+    if (config.CATALOG_REFRESH && SOURCES.some(isRemote)) {
+        setInterval(() => reloadCatalog('actualización periódica').catch(() => { }), config.CATALOG_REFRESH * 1000).unref();
+    }
+});
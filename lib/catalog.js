@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { parseTitle } = require('./titles');
+const { readM3u } = require('./m3u');
+const { isPlaylist } = require('./playlist');
+
+const hash = s => crypto.createHash('sha1').update(s).digest('hex');
+
+/**
+ * ID estable de una entrada del catálogo: el que traiga la propia entrada, el id de stream del
+ * proveedor ("/movie/<usuario>/<clave>/155427.mkv" → "155427"; "live-…" y "series-…" para el resto)
+ * o, si la URL no lo tiene, un hash de la URL (o del título).
+ */
+function stableId(entry) {
+    if (entry.id !== undefined && entry.id !== null && /^[\w.-]{1,64}$/.test(String(entry.id))) return String(entry.id);
+    let pathname = '';
+    try { pathname = new URL(entry.url).pathname; } catch { }
+    const xtream = /\/(movie|series|live)\/[^/]+\/[^/]+\/(\d+)(?:\.\w+)?$/.exec(pathname);
+    if (xtream) return xtream[1] === 'movie' ? xtream[2] : `${xtream[1]}-${xtream[2]}`;
+    const numeric = /\/(\d+)(?:\.\w+)?$/.exec(pathname);
+    if (numeric) return numeric[1];
+    return contentId(entry);
+}
+
+const contentId = entry => 'h' + hash(entry.url || entry.title || '').slice(0, 11);
+
+// IDs para todas las entradas; si dos coinciden (la misma película dos veces) la segunda usa el hash
+function assignIds(entries) {
+    const taken = new Set();
+    return entries.map(entry => {
+        let id = stableId(entry);
+        if (taken.has(id)) id = contentId(entry);
+        for (let n = 2; taken.has(id); n++) id = `${contentId(entry)}-${n}`;
+        taken.add(id);
+        return id;
+    });
+}
+
+class CatalogError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CatalogError';
+        this.code = 'ECATALOG';
+    }
+}
+
+// Comprueba el contenido de data.json antes de usarlo: un fichero a medio escribir no debe vaciar el catálogo
+function validateCatalog(data) {
+    if (!Array.isArray(data)) throw new CatalogError('El catálogo no es una lista');
+    data.forEach((m, i) => {
+        if (!m || typeof m !== 'object' || Array.isArray(m)) throw new CatalogError(`Entrada ${i}: no es un objeto`);
+        for (const field of ['title', 'url', 'logo', 'group', 'category', 'plot', 'added', 'tvgId', 'tvgName']) {
+            if (m[field] !== undefined && m[field] !== null && typeof m[field] !== 'string') throw new CatalogError(`Entrada ${i}: "${field}" no es texto`);
+        }
+        if (m.rating !== undefined && m.rating !== null && typeof m.rating !== 'number') throw new CatalogError(`Entrada ${i}: "rating" no es un número`);
+        if (m.url) {
+            try { new URL(m.url); } catch { throw new CatalogError(`Entrada ${i}: URL no válida`); }
+        }
+    });
+    return data;
+}
+
+// Entradas de data.json → títulos del catálogo, con ID estable y el título descompuesto; de las M3U
+// se conservan también tvg-id y tvg-name, que enlazan el título con la guía de programación
+function buildCatalog(data) {
+    const ids = assignIds(validateCatalog(data));
+    return data.map((m, i) => {
+        const title = m.title || 'Sin título';
+        const { title: cleanTitle, year, quality, language, edition } = parseTitle(title);
+        return {
+            id: ids[i], title, cleanTitle, year, quality, language, edition, category: m.group || m.category || null,
+            rating: m.rating || null, added: m.added || null, plot: m.plot || null, poster: m.logo || '', url: m.url || '',
+            tvgId: m.tvgId || null, tvgName: m.tvgName || null
+        };
+    });
+}
+
+// Diferencias entre dos versiones del catálogo, por ID: { added, removed, changed: [{ id, title, fields }] }
+function diffCatalog(before, after) {
+    const old = new Map(before.map(m => [m.id, m]));
+    const brief = m => ({ id: m.id, title: m.title });
+    const added = [], changed = [];
+    for (const m of after) {
+        const prev = old.get(m.id);
+        old.delete(m.id);
+        if (!prev) { added.push(brief(m)); continue; }
+        const fields = ['title', 'url', 'poster'].filter(f => prev[f] !== m[f]);
+        if (fields.length) changed.push({ ...brief(m), fields });
+    }
+    return { added, removed: [...old.values()].map(brief), changed };
+}
+
+// Fuentes que no son ficheros locales: URLs y fuentes con su propio read() (Xtream Codes)
+const isRemote = source => typeof source !== 'string' || /^https?:\/\//i.test(source);
+
+// Nombre de una fuente para errores y registros: de las URLs solo el origen y la ruta, porque las listas
+// de los paneles llevan el usuario y la contraseña en la query (get.php?username=…&password=…)
+function redactSource(source) {
+    if (typeof source !== 'string') return source.label;
+    if (!isRemote(source)) return source;
+    try {
+        const url = new URL(source);
+        return url.origin + url.pathname;
+    } catch { return '(URL no válida)'; }
+}
+
+// Lista M3U por la extensión, por el tipo que manda el servidor o, en paneles IPTV, por ?type=m3u_plus
+function isM3u(source, contentType) {
+    if (typeof source !== 'string') return false;
+    if (isPlaylist(contentType)) return true;
+    try {
+        const url = new URL(source, 'file:///');
+        return /\.m3u8?$/i.test(url.pathname) || /^m3u/i.test(url.searchParams.get('type') || '');
+    } catch { return false; }
+}
+
+// Huella de un conjunto de fuentes, para saber si algo cambió desde la última carga
+const sourcesHash = parts => hash(parts.map(p => `${p.source}\n${p.hash}`).join('\n'));
+
+async function openSource(source, timeout) {
+    if (!isRemote(source)) return { stream: fs.createReadStream(source), type: null };
+    let res;
+    try {
+        res = await fetch(source, { signal: AbortSignal.timeout(timeout), headers: { 'User-Agent': 'Mozilla/5.0' } });
+    } catch (e) { throw new CatalogError(`${redactSource(source)}: ${e.name === 'TimeoutError' ? 'tiempo de espera agotado' : e.message}`); }
+    if (!res.ok) throw new CatalogError(`${redactSource(source)}: respuesta ${res.status}`);
+    return { stream: Readable.fromWeb(res.body), type: res.headers.get('content-type') };
+}
+
+/**
+ * Entradas de una fuente del catálogo (fichero local o URL http(s); JSON como data.json o lista
+ * M3U; o un objeto { label, read() } como la fuente de Xtream Codes): { source, entries, hash,
+ * skipped }. Las M3U se leen por líneas sin bloquear el servidor.
+ */
+async function readSource(source, { timeout = 120000 } = {}) {
+    if (typeof source !== 'string') {
+        const { entries, hash, skipped = 0 } = await source.read();
+        return { source: source.label, entries: validateCatalog(entries), hash, skipped };
+    }
+    const { stream, type } = await openSource(source, timeout);
+    const digest = crypto.createHash('sha1');
+    if (isM3u(source, type)) {
+        let header = null;
+        const { entries, skipped } = await readM3u(stream, {
+            onLine: line => {
+                if (header === null && line.trim()) header = line.replace(/^\uFEFF/, '').trim();
+                digest.update(line + '\n');
+            }
+        });
+        // Una página de error o de login en lugar de la lista no debe vaciar el catálogo
+        if (!entries.length && !/^#EXTM3U/i.test(header || '')) throw new CatalogError(`${redactSource(source)}: no es una lista M3U`);
+        return { source, entries, hash: digest.digest('hex'), skipped };
+    }
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    let entries;
+    try { entries = JSON.parse(text); } catch (e) { throw new CatalogError(`${redactSource(source)}: JSON no válido: ${e.message}`); }
+    return { source, entries: validateCatalog(entries), hash: hash(text), skipped: 0 };
+}
+
+// Todas las fuentes, en orden y una detrás de otra: { entries, hash, skipped }
+async function readSources(sources, options) {
+    const parts = [];
+    for (const source of sources) parts.push(await readSource(source, options));
+    return { entries: parts.flatMap(p => p.entries), hash: sourcesHash(parts), skipped: parts.reduce((n, p) => n + p.skipped, 0) };
+}
+
+// Un data.json local leído de golpe, para tener catálogo antes de empezar a escuchar
+function readJsonSync(source) {
+    const text = fs.readFileSync(source, 'utf8');
+    const entries = validateCatalog(JSON.parse(text));
+    return { entries, hash: sourcesHash([{ source, hash: hash(text) }]) };
+}
+
+const sameWork = m => `${(m.cleanTitle || m.title).toLowerCase()}|${m.year || ''}`;
+
+/**
+ * Redirecciones de IDs antiguos a los actuales. Se guardan en `file` junto con los IDs de la última
+ * carga: si un ID desaparece y aparece uno nuevo con el mismo título limpio y año, el viejo pasa a
+ * apuntar al nuevo (el proveedor renumeró la entrada). `manual` ({ viejo: nuevo }) se añade encima.
+ */
+function createRedirects({ file, manual = {} }) {
+    let state = { known: {}, redirects: {} };
+    try {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error('Redirecciones:', e.message);
+    }
+
+    // Cruza la carga anterior con la actual y devuelve las redirecciones nuevas
+    function update(movies) {
+        const current = new Set(movies.map(m => m.id));
+        const fresh = new Map();
+        movies.filter(m => !state.known[m.id]).forEach(m => {
+            const key = sameWork(m);
+            fresh.set(key, fresh.has(key) ? null : m.id);
+        });
+        const added = {};
+        for (const [id, previous] of Object.entries(state.known)) {
+            if (current.has(id)) continue;
+            const to = fresh.get(sameWork(previous));
+            if (to) added[id] = to;
+        }
+        const redirects = { ...state.redirects, ...added };
+        // Las cadenas (a → b → c) se acortan y un ID que vuelve a existir deja de redirigir
+        for (const [from, to] of Object.entries(redirects)) {
+            if (current.has(from)) delete redirects[from];
+            else if (added[to]) redirects[from] = added[to];
+        }
+        state = { known: Object.fromEntries(movies.map(m => [m.id, { title: m.cleanTitle || m.title, year: m.year || null }])), redirects };
+        fs.promises.mkdir(path.dirname(file), { recursive: true })
+            .then(() => fs.promises.writeFile(file + '.tmp', JSON.stringify(state)))
+            .then(() => fs.promises.rename(file + '.tmp', file))
+            .catch(e => console.error('Redirecciones:', e.message));
+        return added;
+    }
+
+    // ID actual para uno antiguo, o null
+    function resolve(id) {
+        return manual[id] || state.redirects[id] || null;
+    }
+
+    function list() {
+        return { ...state.redirects, ...manual };
+    }
+
+    return { update, resolve, list };
+}
+
+module.exports = {
+    stableId, contentId, assignIds, buildCatalog, validateCatalog, diffCatalog, createRedirects, CatalogError,
+    readSource, readSources, readJsonSync, isM3u, isRemote, redactSource
+};
@@ -0,0 +1,170 @@
+const { parseRange, resolveRange, ifRangeMatches } = require('./range');
+
+/**
+ * Reparto de una misma descarga del proveedor entre varios clientes. Cada "vuelo" es una respuesta
+ * en curso (200/206 con tamaño conocido) a la que se pueden unir peticiones cuyo rango empieza dentro
+ * de lo ya recibido: se les reenvían los bytes retenidos (los primeros `window` bytes del vuelo) y
+ * luego los que van llegando. Un cliente que se queda atrás más de `maxLag` bytes se separa y sigue
+ * con su propia conexión, para no frenar al resto. La conexión se corta cuando no queda nadie.
+ */
+function createCoalescer({ window = 8 * 1024 * 1024, maxLag = 8 * 1024 * 1024 } = {}) {
+    const flights = new Map();
+    const opening = new Map();
+    const counters = { flights: 0, joined: 0, waited: 0, detached: 0, bytesShared: 0 };
+
+    function remove(flight) {
+        const list = flights.get(flight.target);
+        if (!list) return;
+        list.delete(flight);
+        if (!list.size) flights.delete(flight.target);
+    }
+
+    function leave(flight, sub) {
+        if (!flight.subs.delete(sub)) return;
+        if (!flight.subs.size && !flight.done) {
+            flight.done = true;
+            remove(flight);
+            flight.abort();
+        }
+    }
+
+    // Escribe en el cliente la parte de [from, from + chunk.length) que le falta
+    function deliver(flight, sub, chunk, from) {
+        const a = Math.max(sub.next, from), b = Math.min(sub.end, from + chunk.length - 1);
+        if (a > b || a !== sub.next) return;
+        sub.res.write(chunk.subarray(a - from, b - from + 1));
+        sub.next = b + 1;
+        if (sub.next > sub.end) {
+            sub.res.end();
+            return leave(flight, sub);
+        }
+        if (sub.res.writableLength > maxLag) {
+            counters.detached++;
+            leave(flight, sub);
+            sub.detach(sub.next, sub.end);
+        }
+    }
+
+    /**
+     * Registra la respuesta del proveedor `upRes` (ya con `body`) como vuelo compartible. `abort`
+     * cancela la conexión. Devuelve null si la respuesta no se puede compartir.
+     */
+    function lead(target, upRes, { start, end, size }, abort) {
+        if (size === null || end === null) return null;
+        const flight = {
+            target, start, end, size, pos: start, chunks: [], retained: 0, subs: new Set(), done: false, abort,
+            contentType: upRes.headers['content-type'] || null, etag: upRes.headers['etag'] || null, lastModified: upRes.headers['last-modified'] || null
+        };
+        upRes.body.on('data', chunk => {
+            if (flight.retained < window) {
+                flight.chunks.push(chunk);
+                flight.retained += chunk.length;
+            }
+            const from = flight.pos;
+            flight.pos += chunk.length;
+            for (const sub of [...flight.subs]) deliver(flight, sub, chunk, from);
+        });
+        // Quien siga suscrito al terminar no recibió todos sus bytes
+        let finished = false;
+        const finish = () => {
+            if (finished) return;
+            finished = flight.done = true;
+            remove(flight);
+            for (const sub of flight.subs) sub.res.destroy();
+            flight.subs.clear();
+            flight.chunks = [];
+        };
+        upRes.body.on('end', finish);
+        upRes.body.on('close', finish);
+        upRes.body.on('error', finish);
+        if (!flights.has(target)) flights.set(target, new Set());
+        flights.get(target).add(flight);
+        counters.flights++;
+        return flight;
+    }
+
+    // Une al cliente `res` al vuelo para el rango [start, end]; `detach(from, to)` continúa por su cuenta
+    function subscribe(flight, res, start, end, detach) {
+        const sub = { res, next: start, end, detach };
+        let from = flight.start;
+        for (const chunk of flight.chunks) {
+            if (sub.next >= flight.pos || sub.next > sub.end) break;
+            const a = Math.max(sub.next, from), b = Math.min(sub.end, from + chunk.length - 1);
+            if (a <= b && a === sub.next) {
+                res.write(chunk.subarray(a - from, b - from + 1));
+                counters.bytesShared += b - a + 1;
+                sub.next = b + 1;
+            }
+            from += chunk.length;
+        }
+        if (sub.next > sub.end) return res.end();
+        flight.subs.add(sub);
+        res.on('close', () => leave(flight, sub));
+    }
+
+    // Busca un vuelo que pueda servir [start, end]: todo lo recibido sigue retenido, o empieza justo donde va
+    function find(target, start, end) {
+        for (const flight of flights.get(target) || []) {
+            if (flight.done || start < flight.start || end > flight.end) continue;
+            const whole = flight.pos - flight.start === flight.retained;
+            if ((whole && start <= flight.pos) || start === flight.pos) return flight;
+        }
+        return null;
+    }
+
+    /**
+     * Atiende la petición desde un vuelo en curso si lo hay. Escribe las cabeceras (206 si se pidió
+     * Range y el If-Range, si viene, coincide) y devuelve true; false si no hay vuelo que cubra el rango.
+     */
+    function join(target, req, res, detach) {
+        const list = flights.get(target);
+        if (!list || !list.size) return false;
+        const first = [...list][0];
+        const { size } = first;
+        const rangeHeader = ifRangeMatches(req.headers['if-range'], first) ? req.headers.range : null;
+        const r = rangeHeader ? resolveRange(parseRange(rangeHeader), size) : { start: 0, end: size - 1 };
+        if (!r) return false;
+        const flight = find(target, r.start, r.end);
+        if (!flight) return false;
+        counters.joined++;
+        const h = { 'Content-Type': flight.contentType || 'application/octet-stream', 'Accept-Ranges': 'bytes', 'Content-Length': r.end - r.start + 1, 'X-Cache': 'COALESCED' };
+        if (rangeHeader) h['Content-Range'] = `bytes ${r.start}-${r.end}/${size}`;
+        if (flight.etag) h['ETag'] = flight.etag;
+        if (flight.lastModified) h['Last-Modified'] = flight.lastModified;
+        res.writeHead(rangeHeader ? 206 : 200, h);
+        subscribe(flight, res, r.start, r.end, detach);
+        return true;
+    }
+
+    /**
+     * Anuncia que se está abriendo `target`: quien llegue mientras tanto espera a las cabeceras (con
+     * `pending`) en vez de abrir otra conexión. Devuelve la función que lo da por terminado, haya
+     * vuelo o no; se llama justo después de `lead`.
+     */
+    function expect(target) {
+        let settle;
+        const entry = { promise: new Promise(r => { settle = r; }) };
+        opening.set(target, entry);
+        return () => {
+            if (opening.get(target) === entry) opening.delete(target);
+            settle();
+        };
+    }
+
+    // Promesa de la apertura en curso de `target`, o null si no hay ninguna
+    function pending(target) {
+        const entry = opening.get(target);
+        if (!entry) return null;
+        counters.waited++;
+        return entry.promise;
+    }
+
+    function stats() {
+        const active = [...flights.values()].reduce((n, list) => n + list.size, 0);
+        return { window, maxLag, active, opening: opening.size, ...counters };
+    }
+
+    return { lead, subscribe, join, expect, pending, stats };
+}
+
+module.exports = { createCoalescer };
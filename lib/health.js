@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { createJsonStore, wait } = require('./json-store');
+
+/**
+ * Comprobación periódica de los enlaces del catálogo contra el proveedor. Cada título se prueba con
+ * `probe(movie, signal)` (HEAD o un Range de un byte; devuelve { status }, o falla con ELIMIT si no
+ * hay conexión libre) una vez cada `interval` ms, de uno en uno, con `delay` ms entre pruebas y solo
+ * cuando `canProbe(movie)` lo permite. Se guarda el último código, la latencia y el último acierto;
+ * tras `deadAfter` fallos seguidos el título se marca como caído. Sin conexión libre la prueba no
+ * cuenta: ni acierto ni fallo. Los fallos se reintentan pasado `retryAfter` ms, antes que el resto.
+ */
+function createHealthChecker({
+    file, probe, canProbe = () => true, interval = 24 * 3600 * 1000, retryAfter = 3600 * 1000,
+    delay = 2000, timeout = 15000, deadAfter = 3
+}) {
+    const { data: records, save } = createJsonStore({ file, label: 'Salud' });
+    let catalog = [], queue = [];
+    let working = false, timer = null;
+    const counters = { checked: 0, failed: 0 };
+
+    const keyOf = url => crypto.createHash('sha1').update(url).digest('hex');
+
+    // Último resultado del título: { status, ok, latency, error, checkedAt, lastSuccess, failures, dead }, o null
+    const get = movie => (movie.url && records[keyOf(movie.url)]) || null;
+    const isDead = movie => !!(get(movie) || {}).dead;
+
+    function due(movie) {
+        const r = get(movie);
+        return !r || Date.now() - r.checkedAt > (r.ok ? interval : Math.min(interval, retryAfter));
+    }
+
+    async function check(movie) {
+        const key = keyOf(movie.url);
+        const prev = records[key] || { failures: 0, lastSuccess: null };
+        const ac = new AbortController();
+        const t = setTimeout(() => ac.abort(), timeout);
+        const started = Date.now();
+        let status = null, error = null;
+        try {
+            ({ status } = await probe(movie, ac.signal));
+        } catch (e) {
+            // Sin hueco con el proveedor no se sabe nada del enlace: no cuenta como fallo
+            if (e.code === 'ELIMIT') return null;
+            error = ac.signal.aborted ? 'Tiempo de espera agotado' : e.message;
+        } finally {
+            clearTimeout(t);
+        }
+        const ok = status !== null && status < 400;
+        const failures = ok ? 0 : prev.failures + 1;
+        counters.checked++;
+        if (!ok) counters.failed++;
+        records[key] = {
+            status, ok, latency: Date.now() - started, error, checkedAt: Date.now(),
+            lastSuccess: ok ? Date.now() : prev.lastSuccess, failures, dead: failures >= deadAfter
+        };
+        if (records[key].dead && !prev.dead) console.warn(`✖ Enlace caído: ${movie.id} · ${movie.title} (${error || status})`);
+        save();
+        return records[key];
+    }
+
+    function tick() {
+        if (working) return;
+        queue = catalog.filter(m => m.url && due(m));
+        if (queue.length) work();
+    }
+
+    async function work() {
+        working = true;
+        while (queue.length) {
+            const movie = queue[0];
+            if (!canProbe(movie)) {
+                await wait(delay);
+                continue;
+            }
+            queue.shift();
+            await check(movie);
+            await wait(delay);
+        }
+        working = false;
+    }
+
+    // Catálogo a vigilar; la primera llamada arranca las comprobaciones (se revisa cada minuto qué toca)
+    function schedule(movies) {
+        catalog = movies;
+        if (!timer) timer = setInterval(tick, 60 * 1000).unref();
+        tick();
+    }
+
+    function report(movies) {
+        return movies.filter(m => m.url).map(m => ({ id: m.id, title: m.title, ...(get(m) || { checkedAt: null }) }));
+    }
+
+    function stats() {
+        const all = catalog.filter(m => m.url).map(get);
+        return {
+            file, interval, delay, deadAfter, titles: all.length, checked: all.filter(Boolean).length,
+            dead: all.filter(r => r && r.dead).length, queued: queue.length, running: working, ...counters
+        };
+    }
+
+    return { get, isDead, check, schedule, report, stats };
+}
+
+module.exports = { createHealthChecker };
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RemuxError, canCopyVideo } = require('./remux');
+const { wait } = require('./json-store');
+
+// Lo que se espera a que ffmpeg escriba la lista con el primer segmento
+const PACK_START_TIMEOUT = 30000;
+
+/**
+ * Empaquetado HLS bajo demanda, de dos formas según el vídeo:
+ * - H.264 se copia: ffmpeg empaqueta el título entero de una pasada, corta cada segmento en un
+ *   fotograma clave y escribe una lista de tipo EVENT que crece mientras avanza. Es barato, pero
+ *   solo se puede saltar a lo que ya está empaquetado.
+ * - El resto se recodifica por tramos: la lista se calcula a partir de la duración (tramos fijos de
+ *   `segmentDuration` segundos) y cada segmento TS se genera la primera vez que se pide, cortando por
+ *   tiempo desde la fuente. Copiado, el corte empezaría en el fotograma clave anterior y los
+ *   segmentos se solaparían o dejarían huecos, así que aquí el vídeo se recodifica siempre.
+ * Los segmentos se guardan en disco por título y se borran cuando el título lleva `idleTimeout`
+ * segundos sin pedirse.
+ */
+function createHlsPackager({ remuxer, dir, segmentDuration = 6, idleTimeout = 600 }) {
+    const titles = new Map();
+    const pending = new Map();
+    const counters = { generated: 0, packed: 0, hits: 0, failed: 0, cleaned: 0 };
+
+    // Lo que quede de una ejecución anterior no tiene quién lo limpie; solo se tocan carpetas de título
+    // (el sha1 de la fuente) y sus segmentos, por si HLS_DIR apunta a una carpeta que no es solo nuestra
+    let leftovers = [];
+    try { leftovers = fs.readdirSync(dir).filter(name => /^[0-9a-f]{40}$/.test(name)); } catch { }
+    leftovers.forEach(name => clean(path.join(dir, name)));
+    setInterval(sweep, 60 * 1000).unref();
+
+    const keyOf = source => crypto.createHash('sha1').update(source).digest('hex');
+
+    // Cada pista de audio tiene sus propios segmentos
+    function touch(source, audio) {
+        const key = keyOf(audio === null ? source : `${source}#a${audio}`);
+        const title = titles.get(key) || { key, dir: path.join(dir, key), active: 0, lastAccess: 0, packer: null, packFailure: null };
+        title.lastAccess = Date.now();
+        titles.set(key, title);
+        return title;
+    }
+
+    // Borra los segmentos y la lista de la carpeta de un título, y la carpeta si queda vacía
+    function clean(titleDir) {
+        let names = [];
+        try { names = fs.readdirSync(titleDir); } catch { return; }
+        for (const name of names.filter(n => /^(seg-\d+\.ts|index\.m3u8)(\.tmp)?$/.test(n))) fs.rmSync(path.join(titleDir, name), { force: true });
+        try { fs.rmdirSync(titleDir); } catch { }
+    }
+
+    function sweep() {
+        for (const [key, title] of titles) {
+            if (title.active || Date.now() - title.lastAccess < idleTimeout * 1000) continue;
+            titles.delete(key);
+            // Un empaquetado a medias se corta y se borra cuando ffmpeg ya no escribe
+            if (title.packer) {
+                title.packer.once('close', () => clean(title.dir));
+                title.packer.kill('SIGKILL');
+            } else clean(title.dir);
+            counters.cleaned++;
+        }
+    }
+
+    const copies = info => canCopyVideo(info, 'hls');
+
+    const count = info => Math.ceil(info.duration / segmentDuration);
+
+    function requireDuration(info) {
+        if (!info.duration) throw new RemuxError('sin-duracion', 'No se conoce la duración del vídeo', 415);
+    }
+
+    // `query` son los parámetros de firma, que se repiten en cada URL de las listas
+    function master(info, query) {
+        requireDuration(info);
+        const v = info.video || {};
+        const attrs = [`BANDWIDTH=${info.bitRate || 5000000}`];
+        if (v.width && v.height) attrs.push(`RESOLUTION=${v.width}x${v.height}`);
+        return ['#EXTM3U', '#EXT-X-VERSION:3', `#EXT-X-STREAM-INF:${attrs.join(',')}`, `index.m3u8?${query}`, ''].join('\n');
+    }
+
+    // Empaquetado de un título que se copia; ya en marcha o terminado, no hace nada
+    function pack(title, input, info, audio) {
+        if (title.packer) return;
+        fs.mkdirSync(title.dir, { recursive: true });
+        const output = path.join(title.dir, 'index.m3u8');
+        const child = remuxer.start(input, info, { format: 'hls', audio, output, segmentDuration });
+        title.packer = child;
+        title.packFailure = null;
+        child.on('error', e => { title.packFailure = e; });
+        child.on('close', code => {
+            title.packer = null;
+            if (code === 0) counters.packed++;
+            else {
+                counters.failed++;
+                title.packFailure = title.packFailure || new Error(`ffmpeg terminó con código ${code}`);
+            }
+        });
+    }
+
+    const readList = file => { try { return fs.readFileSync(file, 'utf8'); } catch { return null; } };
+
+    // Lista que escribe ffmpeg, con la firma en cada segmento y el arranque al principio y no en el
+    // último segmento, que es donde los reproductores empiezan una lista EVENT
+    async function packedPlaylist(title, input, info, audio, query) {
+        const file = path.join(title.dir, 'index.m3u8');
+        let text = readList(file);
+        if (!text || !text.includes('#EXT-X-ENDLIST')) pack(title, input, info, audio);
+        for (const started = Date.now(); !text; text = readList(file)) {
+            if (!title.packer) throw title.packFailure || new Error('ffmpeg terminó sin generar la lista');
+            if (Date.now() - started > PACK_START_TIMEOUT) throw new Error('ffmpeg no generó a tiempo el primer segmento');
+            await wait(250);
+        }
+        return text.split('\n').map(line => {
+            if (line.startsWith('#EXTM3U')) return line + '\n#EXT-X-START:TIME-OFFSET=0,PRECISE=YES';
+            return line && !line.startsWith('#') ? `${line}?${query}` : line;
+        }).join('\n');
+    }
+
+    /**
+     * Lista de segmentos de `source` (identifica el título): la de ffmpeg si el vídeo se copia, que
+     * arranca el empaquetado si hace falta, o la calculada por tramos. `input` es de donde lee ffmpeg y
+     * `audio` el índice de la pista de audio; `query` son los parámetros de firma.
+     */
+    async function playlist(source, input, info, query, { audio = null } = {}) {
+        requireDuration(info);
+        if (copies(info)) return packedPlaylist(touch(source, audio), input, info, audio, query);
+        const lines = [
+            '#EXTM3U', '#EXT-X-VERSION:3', `#EXT-X-TARGETDURATION:${Math.ceil(segmentDuration)}`,
+            '#EXT-X-MEDIA-SEQUENCE:0', '#EXT-X-PLAYLIST-TYPE:VOD'
+        ];
+        for (let n = 0; n < count(info); n++) {
+            const length = Math.min(segmentDuration, info.duration - n * segmentDuration);
+            lines.push(`#EXTINF:${length.toFixed(3)},`, `seg-${n}.ts?${query}`);
+        }
+        lines.push('#EXT-X-ENDLIST', '');
+        return lines.join('\n');
+    }
+
+    function generate(title, file, input, info, n, audio) {
+        return new Promise((resolve, reject) => {
+            fs.mkdirSync(title.dir, { recursive: true });
+            const child = remuxer.start(input, info, { start: n * segmentDuration, duration: segmentDuration, format: 'mpegts', audio, reencode: true });
+            const tmp = file + '.tmp';
+            const ws = fs.createWriteStream(tmp);
+            let failure = null;
+            child.on('error', e => { failure = e; });
+            ws.on('error', e => { failure = e; child.kill('SIGKILL'); });
+            child.stdout.pipe(ws);
+            child.on('close', code => ws.end(() => {
+                if (!failure && code === 0) {
+                    try { return resolve(fs.renameSync(tmp, file)); } catch (e) { failure = e; }
+                }
+                fs.rmSync(tmp, { force: true });
+                reject(failure || new Error(`ffmpeg terminó con código ${code}`));
+            }));
+        });
+    }
+
+    /**
+     * Ruta en disco del segmento `n` de `source`, generándolo desde `input` si se recodifica por
+     * tramos; `audio` es el índice de la pista de audio. null si el segmento no existe (o, copiando,
+     * aún no se ha empaquetado). Las peticiones simultáneas del mismo segmento comparten la generación.
+     */
+    async function segment(source, input, info, n, { audio = null } = {}) {
+        requireDuration(info);
+        const title = touch(source, audio);
+        const file = path.join(title.dir, `seg-${n}.ts`);
+        if (fs.existsSync(file)) {
+            counters.hits++;
+            return file;
+        }
+        // Los segmentos copiados solo los escribe el empaquetado: el que aún no está no existe
+        if (copies(info) || !(n >= 0 && n < count(info))) return null;
+        const id = `${title.key}/${n}`;
+        if (!pending.has(id)) {
+            title.active++;
+            const job = generate(title, file, input, info, n, audio).then(() => { counters.generated++; }, e => {
+                if (!(e instanceof RemuxError)) counters.failed++;
+                throw e;
+            }).finally(() => {
+                title.active--;
+                pending.delete(id);
+            });
+            pending.set(id, job);
+        }
+        await pending.get(id);
+        return file;
+    }
+
+    function stats() {
+        const packing = [...titles.values()].filter(t => t.packer).length;
+        return { dir, segmentDuration, idleTimeout, titles: titles.size, generating: pending.size, packing, ...counters };
+    }
+
+    return { master, playlist, segment, stats };
+}
+
+module.exports = { createHlsPackager };
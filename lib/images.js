@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { run } = require('./remux');
+
+// Anchos que se generan (los de TMDB): el pedido se redondea hacia arriba para no llenar el disco de variantes
+const WIDTHS = [92, 154, 185, 342, 500, 780];
+const MAX_BYTES = 15 * 1024 * 1024;
+
+// Error que no se arregla reintentando (la imagen no existe o no es una imagen): solo estos se recuerdan
+const permanent = message => Object.assign(new Error(message), { permanent: true });
+
+const escapeXml = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+
+// Cartel 2:3 con el título, para cuando no hay imagen o el proveedor ya no la sirve
+function placeholder(title, width = 185) {
+    const w = Math.max(40, Math.min(+width || 185, 780)), h = Math.round(w * 1.5);
+    const words = String(title || 'Sin imagen').split(/\s+/).filter(Boolean);
+    const lines = [];
+    for (const word of words) {
+        const last = lines[lines.length - 1];
+        if (last && (last + ' ' + word).length <= 14) lines[lines.length - 1] = last + ' ' + word;
+        else lines.push(word);
+    }
+    const shown = lines.slice(0, 5);
+    const size = Math.round(w / 11), top = h / 2 - (shown.length - 1) * size * 0.65;
+    const text = shown.map((l, i) => `<text x="${w / 2}" y="${Math.round(top + i * size * 1.3)}">${escapeXml(l.slice(0, 20))}</text>`).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">` +
+        `<rect width="${w}" height="${h}" fill="#1a1a1a"/><g font-family="Arial,sans-serif" font-size="${size}" fill="#888" text-anchor="middle">${text}</g></svg>`;
+}
+
+/**
+ * Carteles del catálogo: el original se descarga una vez del proveedor (por `upstream`, con la
+ * política de destinos pero sin el límite de conexiones de los vídeos) y se guarda en `dir`; las
+ * variantes de ancho reducido se generan con ffmpeg (como mucho `maxJobs` a la vez) y también se
+ * guardan. Sin ffmpeg se sirve el original. Los fallos permanentes (404, algo que no es una imagen)
+ * se recuerdan `failureTtl` ms para no insistir; los pasajeros (5xx, tiempo agotado) no.
+ */
+function createImageCache({ dir, upstream, ffmpeg = 'ffmpeg', maxJobs = 2, failureTtl = 3600 * 1000 }) {
+    const pending = new Map();
+    const failures = new Map();
+    const waiting = [];
+    let jobs = 0, resizer = true;
+    const counters = { fetched: 0, resized: 0, hits: 0, failed: 0 };
+
+    const keyOf = url => crypto.createHash('sha1').update(url).digest('hex');
+
+    // Comparte el trabajo entre peticiones simultáneas de lo mismo
+    function once(id, fn) {
+        if (!pending.has(id)) pending.set(id, fn().finally(() => pending.delete(id)));
+        return pending.get(id);
+    }
+
+    async function slot(fn) {
+        if (jobs >= maxJobs) await new Promise(r => waiting.push(r));
+        jobs++;
+        try { return await fn(); } finally {
+            jobs--;
+            if (waiting.length) waiting.shift()();
+        }
+    }
+
+    async function download(url, file) {
+        const res = await upstream.open(url);
+        const type = String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (res.statusCode !== 200 || !type.startsWith('image/')) {
+            res.destroy();
+            const message = `Respuesta ${res.statusCode} (${type || 'sin tipo'}) del proveedor`;
+            const transient = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+            throw transient ? new Error(message) : permanent(message);
+        }
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of res.body) {
+            size += chunk.length;
+            if (size > MAX_BYTES) {
+                res.destroy();
+                throw permanent('Imagen demasiado grande');
+            }
+            chunks.push(chunk);
+        }
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(file + '.tmp', Buffer.concat(chunks));
+        await fs.promises.writeFile(file + '.json', JSON.stringify({ url, type }));
+        await fs.promises.rename(file + '.tmp', file);
+        counters.fetched++;
+        return type;
+    }
+
+    // Original en disco: { file, type }
+    async function original(url) {
+        const file = path.join(dir, keyOf(url));
+        try {
+            const { type } = JSON.parse(await fs.promises.readFile(file + '.json', 'utf8'));
+            if (fs.existsSync(file)) return { file, type };
+        } catch { }
+        const failure = failures.get(url);
+        if (failure && Date.now() - failure.at < failureTtl) throw new Error(failure.error);
+        try {
+            return { file, type: await once(file, () => download(url, file)) };
+        } catch (e) {
+            counters.failed++;
+            if (e.permanent) failures.set(url, { error: e.message, at: Date.now() });
+            throw e;
+        }
+    }
+
+    async function resize(src, width, file) {
+        // Nunca se amplía: una imagen más estrecha que el ancho pedido se queda como está
+        const args = ['-hide_banner', '-loglevel', 'error', '-nostdin', '-i', src.file, '-frames:v', '1',
+            '-vf', `scale=w='min(${width},iw)':h=-2`, '-q:v', '4', '-f', 'image2', '-c:v', 'mjpeg', file + '.tmp'];
+        try {
+            await slot(() => run(ffmpeg, args, 30000));
+            await fs.promises.rename(file + '.tmp', file);
+            counters.resized++;
+        } catch (e) {
+            await fs.promises.rm(file + '.tmp', { force: true });
+            throw e;
+        }
+    }
+
+    /**
+     * Cartel de `url` con al menos `width` px de ancho (sin ancho, el original): { file, type }.
+     * Lanza un error si no se puede obtener; quien llama responde entonces con `placeholder`.
+     */
+    async function get(url, width) {
+        const src = await original(url);
+        const w = width && WIDTHS.find(n => n >= width);
+        if (!w || !resizer) return src;
+        const file = path.join(dir, `${keyOf(url)}-w${w}.jpg`);
+        if (fs.existsSync(file)) {
+            counters.hits++;
+            return { file, type: 'image/jpeg' };
+        }
+        try {
+            await once(file, () => resize(src, w, file));
+            return { file, type: 'image/jpeg' };
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                console.warn('⚠ ffmpeg no disponible: los carteles se sirven sin redimensionar');
+                resizer = false;
+            } else console.error('Cartel:', e.message);
+            return src;
+        }
+    }
+
+    function stats() {
+        return { dir, widths: WIDTHS, resizer, resizing: jobs, waiting: waiting.length, failures: failures.size, ...counters };
+    }
+
+    return { get, stats };
+}
+
+module.exports = { createImageCache, placeholder, WIDTHS };
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pausa entre pasos de los trabajos en segundo plano
+const wait = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Objeto JSON persistido en `file` (metadatos, salud, fichas...). `data` se lee al crearlo (vacío si el
+ * fichero no existe) y se modifica en el sitio; `save()` lo escribe de forma atómica y agrupada, como
+ * mucho una vez cada `debounce` ms. Los errores se registran con `label` y no se propagan.
+ */
+function createJsonStore({ file, label, debounce = 3000 }) {
+    let data = {}, timer = null;
+
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`${label}:`, e.message);
+    }
+
+    function save() {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            const tmp = file + '.tmp';
+            fs.promises.mkdir(path.dirname(file), { recursive: true })
+                .then(() => fs.promises.writeFile(tmp, JSON.stringify(data)))
+                .then(() => fs.promises.rename(tmp, file))
+                .catch(e => console.error(`${label}:`, e.message));
+        }, debounce);
+    }
+
+    return { data, save };
+}
+
+module.exports = { createJsonStore, wait };
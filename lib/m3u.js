@@ -0,0 +1,65 @@
+const readline = require('readline');
+
+// Atributos de #EXTINF: tvg-id="…" tvg-name="…" tvg-logo="…" group-title="…"
+const ATTRIBUTE = /([\w-]+)="([^"]*)"/g;
+
+/**
+ * Cabecera #EXTINF → { attrs, name }. El nombre visible va tras la primera coma que no esté dentro
+ * de un atributo entre comillas.
+ */
+function parseExtinf(line) {
+    const body = line.slice(line.indexOf(':') + 1);
+    let quoted = false, comma = -1;
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] === '"') quoted = !quoted;
+        else if (body[i] === ',' && !quoted) { comma = i; break; }
+    }
+    const head = comma < 0 ? body : body.slice(0, comma);
+    const attrs = {};
+    for (const [, key, value] of head.matchAll(ATTRIBUTE)) attrs[key.toLowerCase()] = value.trim();
+    return { attrs, name: comma < 0 ? '' : body.slice(comma + 1).trim() };
+}
+
+/**
+ * Lee una lista M3U desde un stream, línea a línea (listas de decenas de miles de entradas sin
+ * tenerlas enteras en memoria como texto) y devuelve { entries, skipped } con entradas en el
+ * formato de data.json más lo propio de la lista: { title, url, logo, group, tvgId, tvgName }.
+ * `onLine` recibe cada línea (p. ej. para calcular un hash del contenido). Se saltan las URLs
+ * que no son http(s).
+ */
+async function readM3u(stream, { onLine } = {}) {
+    const entries = [];
+    let skipped = 0, pending = null, group = null;
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const raw of lines) {
+        if (onLine) onLine(raw);
+        const line = raw.replace(/^\uFEFF/, '').trim();
+        if (!line) continue;
+        if (line.startsWith('#EXTINF')) {
+            pending = parseExtinf(line);
+            continue;
+        }
+        // #EXTGRP: grupo para la siguiente entrada, si su #EXTINF no trae group-title
+        if (line.startsWith('#EXTGRP:')) {
+            group = line.slice(8).trim() || null;
+            continue;
+        }
+        if (line.startsWith('#')) continue;
+        let url;
+        try { url = new URL(line); } catch { url = null; }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            skipped++;
+        } else {
+            const attrs = pending ? pending.attrs : {};
+            entries.push({
+                title: (pending && pending.name) || attrs['tvg-name'] || '', url: url.href, logo: attrs['tvg-logo'] || '',
+                group: attrs['group-title'] || group, tvgId: attrs['tvg-id'] || null, tvgName: attrs['tvg-name'] || null
+            });
+        }
+        pending = null;
+        group = null;
+    }
+    return { entries, skipped };
+}
+
+module.exports = { readM3u, parseExtinf };
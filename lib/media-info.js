@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { createJsonStore, wait } = require('./json-store');
+
+// Lo que el <video> reproduce sin ayuda; el resto necesita remux o HLS
+const BROWSER = {
+    containers: ['mov,mp4,m4a,3gp,3g2,mj2', 'matroska,webm', 'mp3', 'ogg'],
+    video: ['h264', 'vp8', 'vp9', 'av1'],
+    audio: ['aac', 'mp3', 'opus', 'vorbis', 'flac']
+};
+
+const LANGUAGE_NAMES = new Intl.DisplayNames(['es'], { type: 'language' });
+
+// "spa"/"es" → "Español"; null si no es un código de idioma reconocible
+function languageName(code) {
+    if (!code || code === 'und') return null;
+    try {
+        const name = LANGUAGE_NAMES.of(code);
+        return name && name !== code ? name[0].toUpperCase() + name.slice(1) : null;
+    } catch { return null; }
+}
+
+// Pistas de audio para el selector; el título de la pista distingue p. ej. "Latino" de "Castellano"
+function audioTracks(info) {
+    return ((info && info.audio) || []).map((a, i) => ({
+        index: a.index, language: a.language, codec: a.codec, channels: a.channels, default: a.default,
+        label: a.title || languageName(a.language) || `Pista ${i + 1}`
+    }));
+}
+
+// Resumen para el catálogo: lo justo para distintivos y avisos en la interfaz
+function compact(info) {
+    if (!info) return null;
+    const v = info.video;
+    const height = v && v.height ? v.height : null;
+    const quality = !height ? null : height >= 2000 ? '4K' : height >= 1000 ? '1080p' : height >= 700 ? '720p' : 'SD';
+    const direct = !!v && BROWSER.containers.includes(info.container) && BROWSER.video.includes(v.codec)
+        && info.audio.every(a => BROWSER.audio.includes(a.codec))
+        // WebM solo admite VP8/VP9/AV1; matroska,webm con H.264 es un MKV
+        && !(info.container === 'matroska,webm' && v.codec === 'h264');
+    return {
+        duration: info.duration, quality, videoCodec: v ? v.codec : null,
+        audioCodecs: [...new Set(info.audio.map(a => a.codec))], subtitles: info.subtitles.length, direct
+    };
+}
+
+/**
+ * Almacén persistente de metadatos de cada título (contenedor, códecs, resolución, pistas y
+ * duración), por hash de la URL del proveedor. Un proceso en segundo plano recorre el catálogo con
+ * `probe(movie)` de uno en uno, con `delay` ms entre títulos y solo cuando `canProbe(movie)` lo
+ * permite (p. ej. si hay conexiones libres con el proveedor). Los fallos se reintentan pasado
+ * `retryAfter` ms.
+ */
+function createMediaInfo({ file, probe, canProbe = () => true, delay = 5000, retryAfter = 24 * 3600 * 1000 }) {
+    const { data: records, save } = createJsonStore({ file, label: 'Metadatos' });
+    let queue = [];
+    let working = false, stopped = false;
+    const pending = new Map();
+    const counters = { probed: 0, failed: 0 };
+
+    const keyOf = url => crypto.createHash('sha1').update(url).digest('hex');
+    const stale = r => !r || (r.error && Date.now() - r.probedAt > retryAfter);
+
+    // Metadatos guardados del título, o null si no se han obtenido (o falló la última vez)
+    function get(movie) {
+        const r = movie.url && records[keyOf(movie.url)];
+        return r && !r.error ? r : null;
+    }
+
+    /**
+     * Guardados o, si no los hay, obtenidos ahora; las peticiones simultáneas comparten el análisis.
+     * `background` llega a `probe` para que el análisis del recorrido no espere turno con el proveedor.
+     */
+    function info(movie, { background = false } = {}) {
+        const known = get(movie);
+        if (known) return Promise.resolve(known);
+        const key = keyOf(movie.url);
+        if (!pending.has(key)) {
+            const job = probe(movie, { background }).then(result => {
+                counters.probed++;
+                records[key] = { ...result, probedAt: Date.now() };
+                return records[key];
+            }, e => {
+                // Sin ffprobe no es culpa del título: no se apunta como fallo
+                if (e.code !== 'ENOENT') {
+                    counters.failed++;
+                    records[key] = { error: e.message, probedAt: Date.now() };
+                }
+                throw e;
+            }).finally(() => {
+                pending.delete(key);
+                save();
+            });
+            pending.set(key, job);
+        }
+        return pending.get(key);
+    }
+
+    // Pone en cola los títulos sin metadatos (o con un fallo antiguo) y arranca el recorrido
+    function schedule(movies) {
+        queue = movies.filter(m => m.url && stale(records[keyOf(m.url)]));
+        if (!working && !stopped) work();
+    }
+
+    async function work() {
+        working = true;
+        while (queue.length && !stopped) {
+            const movie = queue[0];
+            if (!canProbe(movie)) {
+                await wait(delay);
+                continue;
+            }
+            queue.shift();
+            if (get(movie)) continue;
+            try {
+                await info(movie, { background: true });
+            } catch (e) {
+                if (e.code === 'ENOENT') {
+                    console.warn('⚠ ffprobe no disponible: se detiene el análisis de metadatos');
+                    stopped = true;
+                }
+            }
+            await wait(delay);
+        }
+        working = false;
+    }
+
+    function stats() {
+        const all = Object.values(records);
+        return { file, delay, stored: all.length, errors: all.filter(r => r.error).length, queued: queue.length, running: working, stopped, ...counters };
+    }
+
+    return { get, info, schedule, stats };
+}
+
+module.exports = { createMediaInfo, compact, audioTracks, languageName, BROWSER };
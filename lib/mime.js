@@ -0,0 +1,22 @@
+const path = require('path');
+
+const VIDEO_TYPES = {
+    '.mkv': 'video/x-matroska', '.mk3d': 'video/x-matroska', '.webm': 'video/webm', '.mp4': 'video/mp4', '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime', '.avi': 'video/x-msvideo', '.ts': 'video/mp2t', '.m2ts': 'video/mp2t', '.mpg': 'video/mpeg',
+    '.mpeg': 'video/mpeg', '.flv': 'video/x-flv', '.wmv': 'video/x-ms-wmv', '.ogv': 'video/ogg', '.3gp': 'video/3gpp',
+    '.m3u8': 'application/vnd.apple.mpegurl', '.m3u': 'audio/x-mpegurl'
+};
+
+// Tipos que los proveedores mandan cuando no saben qué es el fichero
+const GENERIC = ['', 'application/octet-stream', 'binary/octet-stream', 'application/x-download', 'application/force-download', 'text/plain'];
+
+// Content-Type del proveedor si dice algo útil; si no, el de la extensión de la URL
+function videoType(upstreamType, url) {
+    const type = String(upstreamType || '').split(';')[0].trim().toLowerCase();
+    if (!GENERIC.includes(type)) return upstreamType;
+    let ext = '';
+    try { ext = path.extname(new URL(url).pathname).toLowerCase(); } catch { }
+    return VIDEO_TYPES[ext] || upstreamType || 'application/octet-stream';
+}
+
+module.exports = { videoType, VIDEO_TYPES };
@@ -0,0 +1,63 @@
+// Elección del modo de entrega de un título según lo que el navegador dice que reproduce
+const { pickAudio, canCopyVideo } = require('./remux');
+
+const WEBM_VIDEO = ['vp8', 'vp9', 'av1'];
+const WEBM_AUDIO = ['opus', 'vorbis'];
+// Lo que el remux puede copiar a MP4 sin recodificar el vídeo
+const REMUX_COPY_VIDEO = ['h264', 'hevc'];
+
+// Contenedor de ffprobe → clave de `caps.containers`; un "matroska,webm" solo es WebM con sus códecs
+function containerKey(info, audio) {
+    const name = info.container || '';
+    if (name.startsWith('mov,mp4')) return 'mp4';
+    if (name === 'matroska,webm') {
+        const webm = WEBM_VIDEO.includes(info.video.codec) && (!audio || WEBM_AUDIO.includes(audio.codec));
+        return webm ? 'webm' : 'mkv';
+    }
+    return null;
+}
+
+/**
+ * Decide cómo servir un título. `info` son sus metadatos (null si no se conocen), `caps` lo que
+ * reporta el cliente ({ hls, containers, video, audio, audioTracks }, con un booleano por formato o
+ * códec; audioTracks indica que puede cambiar de pista él mismo), `upstreamHls` indica que el
+ * proveedor ya sirve una lista HLS y `audio` el índice de la pista de audio elegida. Devuelve
+ * { method, reason, message? } con method 'direct' | 'remux' | 'hls' | 'unplayable'.
+ */
+function decide(info, caps, { upstreamHls = false, transcodeVideo = true, audio: audioIndex = null } = {}) {
+    const has = (group, key) => !!(caps[group] && caps[group][key]);
+    if (upstreamHls) {
+        return caps.hls ? { method: 'hls', reason: 'hls-proveedor' }
+            : { method: 'unplayable', reason: 'hls-no-soportado', message: 'Este navegador no reproduce emisiones HLS' };
+    }
+    // Sin metadatos se prueba directo; si falla, el cliente pasa al siguiente modo
+    if (!info) return { method: 'direct', reason: 'sin-metadatos' };
+    if (!info.video) return { method: 'unplayable', reason: 'sin-video', message: 'El fichero no tiene vídeo' };
+
+    const video = info.video.codec;
+    const audio = pickAudio(info, audioIndex);
+    const container = containerKey(info, audio);
+    const audioOk = !audio || has('audio', audio.codec);
+    // Una pista que no es la principal solo se puede elegir en directo si el navegador sabe cambiarla
+    const trackOk = !audio || audio === pickAudio(info, null) || !!caps.audioTracks;
+    if (container && has('containers', container) && has('video', video) && audioOk && trackOk) return { method: 'direct', reason: 'compatible' };
+
+    // La conversión pasa el audio a AAC si el navegador no reproduce el original
+    if (audio && !audioOk && !has('audio', 'aac')) {
+        return { method: 'unplayable', reason: 'codec-audio', message: `Audio no soportado: ${audio.codec}` };
+    }
+    const reason = !container || !has('containers', container) ? 'contenedor' : !has('video', video) ? 'codec-video' : !audioOk ? 'codec-audio' : 'pista-audio';
+    // Sin recodificar el vídeo: HLS copia H.264 (y permite saltar sin reiniciar ffmpeg), el remux a MP4 también HEVC
+    const hls = !!caps.hls && !!info.duration && has('video', 'h264');
+    if (hls && canCopyVideo(info, 'hls')) return { method: 'hls', reason };
+    if (has('containers', 'mp4') && REMUX_COPY_VIDEO.includes(video) && has('video', video)) return { method: 'remux', reason };
+    // Recodificando: HLS por tramos o remux a H.264
+    if (hls && transcodeVideo) return { method: 'hls', reason: 'transcodificacion' };
+    if (transcodeVideo && has('containers', 'mp4') && has('video', 'h264')) return { method: 'remux', reason: 'transcodificacion' };
+    if (caps.hls && !has('containers', 'mp4') && !transcodeVideo) {
+        return { method: 'unplayable', reason: 'hls-sin-recodificar', message: 'Este navegador necesita HLS y la recodificación de vídeo está desactivada' };
+    }
+    return { method: 'unplayable', reason: 'codec-video', message: `Vídeo no soportado: ${video}` };
+}
+
+module.exports = { decide, containerKey };
@@ -0,0 +1,28 @@
+// Listas HLS (.m3u8) del proveedor: detección y reescritura de URIs
+
+const PLAYLIST_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+
+function isPlaylist(contentType) {
+    return PLAYLIST_TYPES.includes(String(contentType || '').split(';')[0].trim().toLowerCase());
+}
+
+/**
+ * Reescribe cada URI de la lista (segmentos, variantes y atributos URI="..." de EXT-X-KEY,
+ * EXT-X-MEDIA, EXT-X-MAP, EXT-X-I-FRAME-STREAM-INF...) resolviéndola contra `base`, la URL final de
+ * la lista, y pasándola por `proxify(url)`. Las URIs que no son http(s) (data:, skd://) se dejan igual.
+ */
+function rewritePlaylist(text, base, proxify) {
+    const rewrite = uri => {
+        let url;
+        try { url = new URL(uri, base); } catch { return uri; }
+        return ['http:', 'https:'].includes(url.protocol) ? proxify(url.href) : uri;
+    };
+    return text.split(/\r?\n/).map(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+        if (trimmed.startsWith('#')) return line.replace(/URI="([^"]*)"/g, (m, uri) => `URI="${rewrite(uri)}"`);
+        return rewrite(trimmed);
+    }).join('\n');
+}
+
+module.exports = { isPlaylist, rewritePlaylist, PLAYLIST_TYPES };
@@ -0,0 +1,39 @@
+// Utilidades de cabeceras HTTP Range / Content-Range (solo rangos únicos en bytes)
+
+// "bytes=a-b" | "bytes=a-" | "bytes=-n" → { start, end } con end/start a null si faltan; null si no es un rango único válido
+function parseRange(header) {
+    const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!m || (m[1] === '' && m[2] === '')) return null;
+    if (m[1] === '') return { start: null, end: null, suffix: +m[2] };
+    const start = +m[1], end = m[2] === '' ? null : +m[2];
+    if (end !== null && end < start) return null;
+    return { start, end };
+}
+
+// Acota un rango parseado al tamaño total → { start, end } inclusivo, o null si no es satisfacible
+function resolveRange(range, size) {
+    if (!range || !(size > 0)) return null;
+    if (range.suffix !== undefined) {
+        if (!range.suffix) return null;
+        return { start: Math.max(0, size - range.suffix), end: size - 1 };
+    }
+    if (range.start >= size) return null;
+    return { start: range.start, end: range.end === null ? size - 1 : Math.min(range.end, size - 1) };
+}
+
+// "bytes a-b/total" → { start, end, size } (size null si es "*")
+function parseContentRange(header) {
+    const m = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(String(header || '').trim());
+    if (!m) return null;
+    return { start: +m[1], end: +m[2], size: m[3] === '*' ? null : +m[3] };
+}
+
+// If-Range: el rango solo vale si el validador coincide (ETag fuerte o fecha exacta de Last-Modified)
+function ifRangeMatches(ifRange, { etag, lastModified }) {
+    if (!ifRange) return true;
+    const v = String(ifRange).trim();
+    if (v.startsWith('"') || v.startsWith('W/')) return !!etag && !v.startsWith('W/') && !String(etag).startsWith('W/') && v === etag;
+    return !!lastModified && Date.parse(v) === Date.parse(lastModified);
+}
+
+module.exports = { parseRange, resolveRange, parseContentRange, ifRangeMatches };
@@ -0,0 +1,191 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Códecs que se pueden copiar tal cual en cada formato de salida y que el navegador reproduce
+const COPY = {
+    mp4: { video: ['h264', 'hevc'], audio: ['aac', 'mp3', 'opus'] },
+    mpegts: { video: ['h264'], audio: ['aac', 'mp3'] },
+    hls: { video: ['h264'], audio: ['aac', 'mp3'] }
+};
+
+// El vídeo de `info` se puede copiar sin recodificar al formato `format`
+const canCopyVideo = (info, format) => !!info.video && COPY[format].video.includes(info.video.codec);
+
+class RemuxError extends Error {
+    constructor(reason, message, status = 503) {
+        super(message);
+        this.name = 'RemuxError';
+        this.reason = reason;
+        this.status = status;
+    }
+}
+
+function run(cmd, args, timeout, onSpawn) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        if (onSpawn) onSpawn(child);
+        const out = [];
+        let err = '';
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+        child.stdout.on('data', d => out.push(d));
+        child.stderr.on('data', d => err += d);
+        child.on('error', e => { clearTimeout(timer); reject(e); });
+        child.on('close', code => {
+            clearTimeout(timer);
+            code === 0 ? resolve(Buffer.concat(out).toString('utf8')) : reject(new Error(err.trim().split('\n').pop() || `${cmd} terminó con código ${code}`));
+        });
+    });
+}
+
+// Pista de audio que se usa: la pedida (índice de stream) si existe; si no, la marcada por defecto o la primera
+function pickAudio(info, index) {
+    const chosen = index !== undefined && index !== null && info.audio.find(a => a.index === +index);
+    return chosen || info.audio.find(a => a.default) || info.audio[0] || null;
+}
+
+// Resumen de `ffprobe -show_streams -show_format` con lo que necesita el remux
+function summarize(data) {
+    const streams = data.streams || [];
+    const tags = s => s.tags || {};
+    const video = streams.find(s => s.codec_type === 'video' && !(s.disposition || {}).attached_pic);
+    return {
+        container: (data.format || {}).format_name || null,
+        duration: +(data.format || {}).duration || null,
+        bitRate: +(data.format || {}).bit_rate || null,
+        video: video ? { index: video.index, codec: video.codec_name, width: video.width, height: video.height, profile: video.profile || null } : null,
+        audio: streams.filter(s => s.codec_type === 'audio').map(s => ({
+            index: s.index, codec: s.codec_name, channels: s.channels, language: tags(s).language || null, title: tags(s).title || null,
+            default: !!(s.disposition || {}).default
+        })),
+        subtitles: streams.filter(s => s.codec_type === 'subtitle').map(s => ({
+            index: s.index, codec: s.codec_name, language: tags(s).language || null, title: tags(s).title || null,
+            default: !!(s.disposition || {}).default, forced: !!(s.disposition || {}).forced
+        }))
+    };
+}
+
+/**
+ * Remux con ffmpeg a MP4 fragmentado, que el <video> puede reproducir mientras se genera. El vídeo
+ * se copia si el códec lo permite (si no, se recodifica a H.264 o se rechaza) y el audio se pasa
+ * a AAC estéreo cuando no es reproducible (AC3, DTS...). Para buscar se arranca otro proceso desde
+ * el segundo pedido. `maxProcesses` limita los ffmpeg simultáneos; la extracción de subtítulos, que
+ * lee el fichero entero, tiene su propio límite (`maxSubtitles`) para no dejar sin hueco al remux.
+ */
+function createRemuxer({
+    ffmpeg = 'ffmpeg', ffprobe = 'ffprobe', maxProcesses = 2, maxSubtitles = 1, transcodeVideo = true, probeTimeout = 30000
+} = {}) {
+    const running = new Set();
+    const extracting = new Set();
+    const probes = new Map();
+    const counters = { started: 0, rejected: 0, failed: 0 };
+
+    // Info de códecs por clave (id del título); se recuerda mientras el proceso viva
+    function probe(key, input) {
+        if (!probes.has(key)) {
+            const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', input];
+            const pending = run(ffprobe, args, probeTimeout).then(out => summarize(JSON.parse(out)));
+            pending.catch(() => probes.delete(key));
+            probes.set(key, pending);
+        }
+        return probes.get(key);
+    }
+
+    /**
+     * Argumentos de códec según lo que tenga el fichero, el formato de salida y la pista de audio
+     * pedida. Con `reencode` el vídeo se recodifica siempre, para que el corte caiga en el segundo
+     * exacto y no en el fotograma clave anterior.
+     */
+    function codecArgs(info, format = 'mp4', audioIndex = null, reencode = false) {
+        if (!info.video) throw new RemuxError('sin-video', 'El fichero no tiene vídeo', 415);
+        const copy = COPY[format];
+        const args = ['-map', `0:${info.video.index}`];
+        if (reencode && !transcodeVideo) {
+            throw new RemuxError('codec-video', 'Los segmentos HLS necesitan recodificar el vídeo (REMUX_TRANSCODE_VIDEO)', 415);
+        }
+        if (canCopyVideo(info, format) && !reencode) {
+            args.push('-c:v', 'copy');
+            if (info.video.codec === 'hevc') args.push('-tag:v', 'hvc1');
+        } else if (transcodeVideo) {
+            args.push('-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p');
+        } else {
+            throw new RemuxError('codec-video', `Códec de vídeo no soportado: ${info.video.codec}`, 415);
+        }
+        const audio = pickAudio(info, audioIndex);
+        if (audio) {
+            args.push('-map', `0:${audio.index}`);
+            if (copy.audio.includes(audio.codec)) args.push('-c:a', 'copy');
+            else args.push('-c:a', 'aac', '-b:a', '192k', '-ac', '2');
+        }
+        return args;
+    }
+
+    /**
+     * Lanza ffmpeg leyendo `input` desde el segundo `start` (y `duration` segundos, si se indica) y
+     * devuelve el proceso; su stdout es el MP4 fragmentado o, con format 'mpegts', un segmento TS con
+     * las marcas de tiempo originales. Con format 'hls' no hay stdout: escribe en `output` una lista
+     * que crece con cada segmento (seg-N.ts, de unos `segmentDuration` segundos, junto a la lista).
+     * `audio` es el índice de la pista de audio (por defecto, la principal) y `reencode` obliga a
+     * recodificar el vídeo (ver codecArgs). Lanza RemuxError si ya hay `maxProcesses` en marcha.
+     */
+    function start(input, info, { start = 0, duration = 0, format = 'mp4', audio = null, reencode = false, output, segmentDuration = 6 } = {}) {
+        if (running.size >= maxProcesses) {
+            counters.rejected++;
+            throw new RemuxError('ocupado', 'Demasiadas conversiones en curso');
+        }
+        const args = [
+            '-hide_banner', '-loglevel', 'error', '-nostdin',
+            ...(start > 0 ? ['-ss', String(start)] : []),
+            '-i', input,
+            ...(duration > 0 ? ['-t', String(duration)] : []),
+            ...codecArgs(info, format, audio, reencode),
+            '-sn', '-dn', '-map_metadata', '-1',
+            ...(format === 'hls'
+                ? ['-f', 'hls', '-hls_time', String(segmentDuration), '-hls_list_size', '0', '-hls_playlist_type', 'event',
+                    '-hls_flags', 'temp_file', '-hls_segment_filename', path.join(path.dirname(output), 'seg-%d.ts'), output]
+                : format === 'mpegts'
+                    ? ['-copyts', '-muxdelay', '0', '-f', 'mpegts', 'pipe:1']
+                    : ['-movflags', 'frag_keyframe+empty_moov+default_base_moof', '-f', 'mp4', 'pipe:1'])
+        ];
+        const child = spawn(ffmpeg, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        counters.started++;
+        running.add(child);
+        let err = '';
+        child.stderr.on('data', d => { err = (err + d).slice(-2000); });
+        child.on('error', () => running.delete(child));
+        child.on('close', (code, signal) => {
+            running.delete(child);
+            if (code && !signal) {
+                counters.failed++;
+                console.error('ffmpeg:', err.trim().split('\n').pop());
+            }
+        });
+        return child;
+    }
+
+    /**
+     * Pista de subtítulos `index` de `input` convertida a WebVTT. ffmpeg tiene que leer el fichero
+     * entero, así que tiene un tiempo máximo amplio y su propio cupo de procesos (`maxSubtitles`).
+     */
+    function subtitle(input, index, timeout = 10 * 60 * 1000) {
+        if (extracting.size >= maxSubtitles) {
+            counters.rejected++;
+            return Promise.reject(new RemuxError('ocupado', 'Demasiadas extracciones de subtítulos en curso'));
+        }
+        const args = ['-hide_banner', '-loglevel', 'error', '-nostdin', '-i', input, '-map', `0:${index}`, '-f', 'webvtt', 'pipe:1'];
+        const pending = run(ffmpeg, args, timeout, child => {
+            extracting.add(child);
+            child.on('close', () => extracting.delete(child));
+            child.on('error', () => extracting.delete(child));
+        });
+        pending.catch(() => counters.failed++);
+        return pending;
+    }
+
+    function stats() {
+        return { maxProcesses, running: running.size, maxSubtitles, extracting: extracting.size, probed: probes.size, ...counters };
+    }
+
+    return { probe, start, subtitle, codecArgs, stats };
+}
+
+module.exports = { createRemuxer, RemuxError, summarize, pickAudio, canCopyVideo, run };
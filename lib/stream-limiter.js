@@ -0,0 +1,88 @@
+class LimitError extends Error {
+    constructor(reason, key, max) {
+        super(`Demasiadas reproducciones en curso (${reason})`);
+        this.name = 'LimitError';
+        this.code = 'ELIMIT';
+        this.status = reason === 'cola-agotada' ? 503 : 429;
+        this.reason = reason;
+        this.key = key;
+        this.max = max;
+    }
+}
+
+// Cuenta del proveedor a la que se imputa la conexión: Xtream usa /movie|series|live/<user>/<pass>/<id>
+function accountKey(target) {
+    let url;
+    try { url = new URL(target); } catch { return String(target); }
+    const parts = url.pathname.split('/').filter(Boolean);
+    const user = ['movie', 'series', 'live'].includes(parts[0]) && parts.length >= 4 ? parts[1]
+        : parts.length === 3 && /^\d+(\.\w+)?$/.test(parts[2]) ? parts[0] : '';
+    return user ? `${url.host}/${user}` : url.host;
+}
+
+/**
+ * Límite de conexiones simultáneas al proveedor por cuenta. Si no hay hueco, la petición espera en
+ * cola (FIFO) hasta `queueTimeout` ms; con `queueTimeout` 0 (o `queue: false` en la petición) se
+ * rechaza al momento con 429.
+ */
+function createStreamLimiter({ max = 0, queueTimeout = 15000 } = {}) {
+    const accounts = new Map();
+    const counters = { granted: 0, queued: 0, rejected: 0, timedOut: 0 };
+
+    const account = key => {
+        if (!accounts.has(key)) accounts.set(key, { active: 0, queue: [] });
+        return accounts.get(key);
+    };
+
+    function grant(key) {
+        const a = account(key);
+        a.active++;
+        counters.granted++;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            a.active--;
+            const next = a.queue.shift();
+            if (next) next();
+            else if (!a.active) accounts.delete(key);
+        };
+    }
+
+    function acquire(key, signal, { queue = true } = {}) {
+        if (!max) return Promise.resolve(() => { });
+        const a = account(key);
+        if (a.active < max) return Promise.resolve(grant(key));
+        if (!queueTimeout || !queue) {
+            counters.rejected++;
+            return Promise.reject(new LimitError('limite', key, max));
+        }
+        counters.queued++;
+        return new Promise((resolve, reject) => {
+            const leave = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                const i = a.queue.indexOf(turn);
+                if (i >= 0) a.queue.splice(i, 1);
+            };
+            const turn = () => { leave(); resolve(grant(key)); };
+            const onAbort = () => { leave(); reject(Object.assign(new Error('Petición cancelada'), { name: 'AbortError' })); };
+            const timer = setTimeout(() => { leave(); counters.timedOut++; reject(new LimitError('cola-agotada', key, max)); }, queueTimeout);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            a.queue.push(turn);
+        });
+    }
+
+    const available = key => !max || !!queueTimeout || !accounts.has(key) || accounts.get(key).active < max;
+    // Hueco libre ahora mismo, sin contar con la cola: las tareas en segundo plano solo usan estos
+    const idle = key => !max || !accounts.has(key) || accounts.get(key).active < max;
+
+    function stats() {
+        const list = [...accounts].map(([key, a]) => ({ key, active: a.active, queued: a.queue.length }));
+        return { max, queueTimeout, accounts: list, ...counters };
+    }
+
+    return { acquire, available, idle, stats };
+}
+
+module.exports = { createStreamLimiter, accountKey, LimitError };
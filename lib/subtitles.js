@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { languageName } = require('./media-info');
+
+// Subtítulos de texto que ffmpeg sabe pasar a WebVTT; los de imagen (PGS, DVD) no se ofrecen
+const TEXT_CODECS = ['subrip', 'ass', 'ssa', 'mov_text', 'webvtt', 'text'];
+const EXTERNAL_FORMATS = ['srt', 'vtt', 'ass', 'ssa'];
+const MAX_BYTES = 5 * 1024 * 1024;
+
+// Texto de un fichero de subtítulos: UTF-8 si es válido; si no, Windows-1252 (lo habitual en .srt antiguos)
+function decodeText(buf) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buf).replace(/^\uFEFF/, '');
+    } catch {
+        try { return new TextDecoder('windows-1252').decode(buf); } catch { return buf.toString('latin1'); }
+    }
+}
+
+function srtToVtt(text) {
+    const body = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim()
+        .replace(/(\d+:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+        .replace(/\{\\[^}]*\}/g, '');
+    return 'WEBVTT\n\n' + body + '\n';
+}
+
+// "h:mm:ss.cc" de ASS → "hh:mm:ss.ccc"
+function assTime(t) {
+    const m = /^(\d+):(\d{2}):(\d{2})[.,](\d{1,3})$/.exec(t.trim());
+    if (!m) return null;
+    return `${m[1].padStart(2, '0')}:${m[2]}:${m[3]}.${m[4].padEnd(3, '0')}`;
+}
+
+function assToVtt(text) {
+    const cues = [];
+    let format = null, inEvents = false;
+    for (const raw of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = raw.trim();
+        if (/^\[.*\]$/.test(line)) { inEvents = line.toLowerCase() === '[events]'; continue; }
+        if (!inEvents) continue;
+        if (/^format:/i.test(line)) {
+            format = line.slice(7).split(',').map(f => f.trim().toLowerCase());
+            continue;
+        }
+        if (!format || !/^dialogue:/i.test(line)) continue;
+        // El texto es el último campo y puede llevar comas
+        const fields = line.slice(9).split(',');
+        const values = [...fields.slice(0, format.length - 1), fields.slice(format.length - 1).join(',')];
+        const get = name => (values[format.indexOf(name)] || '').trim();
+        const start = assTime(get('start')), end = assTime(get('end'));
+        const body = get('text').replace(/\{[^}]*\}/g, '').replace(/\\N/gi, '\n').replace(/\\h/g, ' ').trim();
+        if (start && end && body) cues.push({ start, end, body });
+    }
+    cues.sort((a, b) => a.start.localeCompare(b.start));
+    return 'WEBVTT\n\n' + cues.map(c => `${c.start} --> ${c.end}\n${c.body}`).join('\n\n') + '\n';
+}
+
+const toSeconds = t => {
+    const parts = t.split(':').map(Number);
+    return parts.reduce((n, p) => n * 60 + p, 0);
+};
+const toStamp = s => {
+    const ms = Math.round(s * 1000);
+    const pad = (n, l = 2) => String(n).padStart(l, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+// Adelanta las marcas `seconds` segundos (vídeo que empieza más tarde, como el remux con ?t=); descarta las que quedan antes de 0
+function shiftVtt(vtt, seconds) {
+    if (!seconds) return vtt;
+    const blocks = vtt.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    const out = [];
+    for (const block of blocks) {
+        const m = /^(.*\n)?((?:\d+:)?\d{2}:\d{2}\.\d{3}) --> ((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/m.exec(block);
+        if (!m) { out.push(block); continue; }
+        const start = toSeconds(m[2]) - seconds, end = toSeconds(m[3]) - seconds;
+        if (end <= 0) continue;
+        out.push(block.replace(`${m[2]} --> ${m[3]}`, `${toStamp(Math.max(0, start))} --> ${toStamp(end)}`));
+    }
+    return out.join('\n\n');
+}
+
+function toVtt(text, format) {
+    if (format === 'vtt') return text.trimStart().startsWith('WEBVTT') ? text : 'WEBVTT\n\n' + text;
+    if (format === 'ass' || format === 'ssa') return assToVtt(text);
+    return srtToVtt(text);
+}
+
+/**
+ * Subtítulos de cada título: pistas de texto del propio fichero (según sus metadatos) y ficheros
+ * hermanos en el proveedor (mismo nombre con .srt/.vtt/.ass, o .<idioma>.srt para `langs`). Todo se
+ * sirve como WebVTT y se guarda en `dir` la primera vez que se convierte. Los hermanos se comprueban
+ * de uno en uno, sin esperar turno con el proveedor, y el resultado, también el negativo, se guarda en
+ * disco durante `recheckAfter` ms: muchos 404 seguidos contra un panel Xtream pueden acabar en un
+ * bloqueo de la cuenta. Si alguno se queda sin respuesta no se guarda nada y se vuelve a probar.
+ */
+function createSubtitles({ dir, upstream, remuxer, langs = [], recheckAfter = 7 * 24 * 3600 * 1000 }) {
+    const discovered = new Map();
+    const pending = new Map();
+    const counters = { converted: 0, hits: 0, failed: 0 };
+    const { data: records, save } = createJsonStore({ file: path.join(dir, 'external.json'), label: 'Subtítulos' });
+
+    const keyOf = s => crypto.createHash('sha1').update(s).digest('hex');
+
+    // Candidatos junto al vídeo en el proveedor; se comprueban con HEAD una vez por título
+    function siblings(url) {
+        let u;
+        try { u = new URL(url); } catch { return []; }
+        const base = u.pathname.replace(/\.[^./]+$/, '');
+        if (base === u.pathname) return [];
+        const at = (suffix, format, language) => {
+            const c = new URL(u.href);
+            c.pathname = base + suffix;
+            return { url: c.href, format, language };
+        };
+        return [
+            ...EXTERNAL_FORMATS.filter(f => f !== 'ssa').map(f => at('.' + f, f, null)),
+            ...langs.map(l => at(`.${l}.srt`, 'srt', l))
+        ];
+    }
+
+    // De uno en uno y sin esperar turno: cada HEAD ocupa una conexión con el proveedor. { found, complete }
+    async function probeSiblings(url) {
+        const key = keyOf(url);
+        const known = records[key];
+        if (known && Date.now() - known.checkedAt < recheckAfter) return { found: known.found, complete: true };
+        const found = [];
+        let complete = true;
+        for (const c of siblings(url)) {
+            try {
+                if ((await upstream.probe(c.url, { queue: false })).status < 400) found.push(c);
+            } catch (e) {
+                // Sin respuesta no se sabe si existe: no se guarda como negativo
+                complete = false;
+                // Sin hueco libre con el proveedor tampoco lo habrá para los siguientes
+                if (e.code === 'ELIMIT') break;
+            }
+        }
+        if (complete) {
+            records[key] = { found, checkedAt: Date.now() };
+            save();
+        }
+        return { found, complete };
+    }
+
+    // Una búsqueda incompleta no se queda en memoria: la próxima petición vuelve a probar
+    function discover(movie) {
+        if (!discovered.has(movie.url)) {
+            const job = probeSiblings(movie.url).then(({ found, complete }) => {
+                if (!complete) discovered.delete(movie.url);
+                return found;
+            });
+            job.catch(() => discovered.delete(movie.url));
+            discovered.set(movie.url, job);
+        }
+        return discovered.get(movie.url);
+    }
+
+    // Id de una pista externa: su posición entre los candidatos, no entre los encontrados, para que no
+    // cambie si una búsqueda incompleta se repite y aparecen más
+    const externalId = (movie, c) => 'x' + siblings(movie.url).findIndex(s => s.url === c.url);
+
+    /**
+     * Pistas disponibles: [{ id, source, language, label, format, default, forced }]. `info` son los
+     * metadatos del título (pueden faltar: entonces solo se buscan ficheros externos).
+     */
+    async function list(movie, info) {
+        const embedded = ((info && info.subtitles) || []).filter(s => TEXT_CODECS.includes(s.codec)).map(s => ({
+            id: 'e' + s.index, source: 'embedded', language: s.language, label: s.title || languageName(s.language) || `Pista ${s.index}`,
+            format: s.codec, default: s.default, forced: s.forced
+        }));
+        const external = (await discover(movie)).map(c => ({
+            id: externalId(movie, c), source: 'external', language: c.language, label: languageName(c.language) || `Externo (${c.format})`,
+            format: c.format, default: false, forced: false
+        }));
+        return [...embedded, ...external];
+    }
+
+    async function fetchExternal(url) {
+        const res = await upstream.open(url);
+        if (res.statusCode !== 200) {
+            res.destroy();
+            throw new Error(`Respuesta ${res.statusCode} del proveedor`);
+        }
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of res.body) {
+            size += chunk.length;
+            if (size > MAX_BYTES) {
+                res.destroy();
+                throw new Error('Subtítulo demasiado grande');
+            }
+            chunks.push(chunk);
+        }
+        return decodeText(Buffer.concat(chunks));
+    }
+
+    async function convert(movie, track, input) {
+        if (track.source === 'embedded') return remuxer.subtitle(input, +track.id.slice(1));
+        const candidate = (await discover(movie)).find(c => externalId(movie, c) === track.id);
+        return toVtt(await fetchExternal(candidate.url), candidate.format);
+    }
+
+    /**
+     * WebVTT de la pista `trackId` (de list), desde disco o convirtiéndola ahora; `input` es de donde
+     * lee ffmpeg las pistas internas. null si la pista no existe.
+     */
+    async function vtt(movie, info, trackId, input) {
+        const track = (await list(movie, info)).find(t => t.id === trackId);
+        if (!track) return null;
+        const key = keyOf(movie.url + '#' + trackId);
+        const file = path.join(dir, key + '.vtt');
+        try {
+            const cached = await fs.promises.readFile(file, 'utf8');
+            counters.hits++;
+            return cached;
+        } catch { }
+        if (!pending.has(key)) {
+            const job = convert(movie, track, input).then(async text => {
+                counters.converted++;
+                await fs.promises.mkdir(dir, { recursive: true });
+                await fs.promises.writeFile(file + '.tmp', text);
+                await fs.promises.rename(file + '.tmp', file);
+                return text;
+            }, e => {
+                counters.failed++;
+                throw e;
+            }).finally(() => pending.delete(key));
+            pending.set(key, job);
+        }
+        return pending.get(key);
+    }
+
+    function stats() {
+        return { dir, langs, discovered: discovered.size, converting: pending.size, ...counters };
+    }
+
+    return { list, vtt, stats };
+}
+
+module.exports = { createSubtitles, srtToVtt, assToVtt, shiftVtt, decodeText, TEXT_CODECS };
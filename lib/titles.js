@@ -0,0 +1,95 @@
+// Títulos del catálogo ("28 años después (2025)", "Película [4K] Latino") → título limpio, año y marcas
+
+// Marcas reconocidas: campo, valor normalizado, patrón (sin anclas) y abreviaturas que solo cuentan
+// entre corchetes o paréntesis ("The Cast" no es una película en castellano)
+const MARKERS = [
+    ['quality', '4K', '4k|uhd|2160p'],
+    ['quality', '1080p', '1080p|fhd|full ?hd'],
+    ['quality', '720p', '720p', 'hd'],
+    ['language', 'Latino', 'latino', 'lat'],
+    ['language', 'Castellano', 'castellano|español|espanol', 'cast|esp'],
+    ['language', 'Subtitulada', 'subtitulad[oa]|vose', 'vos|sub'],
+    ['language', 'Dual', 'dual|dual audio'],
+    ['edition', 'Extendida', 'extended|extendida|versi[oó]n extendida|extended (?:cut|edition)'],
+    ['edition', 'Montaje del director', "director'?s cut|montaje del director"],
+    ['edition', 'Remasterizada', 'remastered|remasterizad[oa]'],
+    ['edition', 'Sin censura', 'unrated|sin censura'],
+    ['edition', 'IMAX', 'imax'],
+    ['edition', '3D', '3d']
+].map(([field, value, pattern, short]) => ({
+    field, value,
+    whole: new RegExp(`^(?:${short ? pattern + '|' + short : pattern})$`, 'i'),
+    tail: new RegExp(`(?:^|[\\s\\-|._]+)(?:${pattern})$`, 'i')
+}));
+
+// Separador que queda colgando al quitar una marca ("Película - "); un guion pegado es parte del título
+const SEPARATORS = /(?:\s+[-|:,_]*)+$/;
+
+function marker(text) {
+    return MARKERS.find(m => m.whole.test(text.trim())) || null;
+}
+
+// Año plausible para una película: ni antes del cine ni más allá del año que viene
+function plausibleYear(text) {
+    const year = +text;
+    return /^\d{4}$/.test(text) && year >= 1888 && year <= new Date().getFullYear() + 2 ? year : null;
+}
+
+/**
+ * Descompone un título: { title, year, quality, language, edition }. El año sale de "(2025)" o
+ * "[2025]" en cualquier sitio, o de un "-1992" final (un "2000" suelto puede ser parte del título,
+ * como en "Cherry 2000", salvo que le sigan marcas). Las marcas se reconocen entre corchetes o paréntesis y como palabras
+ * sueltas al final, siempre que quede algo de título.
+ */
+function parseTitle(raw) {
+    const found = { year: null, quality: null, language: null, edition: null };
+    const take = m => { if (!found[m.field]) found[m.field] = m.value; };
+    let text = String(raw || '').replace(/\s+/g, ' ').trim();
+
+    // Grupos entre corchetes o paréntesis: año, o una lista de marcas ("[4K, Latino]")
+    text = text.replace(/\s*[[(]([^\])]+)[\])]\s*/g, (group, inner) => {
+        const year = plausibleYear(inner.trim());
+        if (year && !found.year) {
+            found.year = year;
+            return ' ';
+        }
+        const parts = inner.split(/[\s,/|+]+/).filter(Boolean);
+        const markers = inner.split(/[,/|+]/).map(marker);
+        if (markers.every(Boolean)) {
+            markers.forEach(take);
+            return ' ';
+        }
+        if (parts.length > 1 && parts.map(marker).every(Boolean)) {
+            parts.map(marker).forEach(take);
+            return ' ';
+        }
+        return group;
+    }).trim();
+
+    // Marcas sueltas al final: "Spider-Man 3 IMAX", "Película 1080p Latino"
+    let tagged = false;
+    for (let changed = true; changed;) {
+        changed = false;
+        for (const m of MARKERS) {
+            const match = m.tail.exec(text);
+            if (!match || match.index === 0) continue;
+            take(m);
+            text = text.slice(0, match.index).replace(SEPARATORS, '');
+            tagged = changed = true;
+        }
+    }
+
+    // Año final con guion o punto ("Sister Act-1992", "Película.2020"); tras marcas sueltas ("Dune 2024 4K") basta un espacio
+    if (!found.year) {
+        const m = (tagged ? /^(.+?)(?:\s*-\s*|\.|\s+)(\d{4})$/ : /^(.+?)(?:\s*-\s*|\.)(\d{4})$/).exec(text);
+        if (m && plausibleYear(m[2])) {
+            found.year = +m[2];
+            text = m[1].replace(SEPARATORS, '');
+        }
+    }
+
+    const title = text.replace(/\s+/g, ' ').replace(SEPARATORS, '').trim();
+    return { title: title || String(raw || '').trim(), ...found };
+}
+
+module.exports = { parseTitle };
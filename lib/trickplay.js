@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { run } = require('./remux');
+const { wait } = require('./json-store');
+
+// "hh:mm:ss.mmm" para las marcas del índice WebVTT
+const stamp = s => {
+    const ms = Math.round(s * 1000);
+    const pad = (n, l = 2) => String(n).padStart(l, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+/**
+ * Miniaturas para la vista previa al buscar: una imagen cada `interval` segundos, de `width` px de
+ * ancho, agrupadas en hojas JPEG de `columns`×`rows` con un índice WebVTT (#xywh) que dice dónde
+ * está cada una. Se generan bajo demanda en segundo plano, de una en una, con `delay` ms entre
+ * títulos y solo cuando `canStart(movie)` lo permite; ffmpeg decodifica solo los fotogramas clave y,
+ * con `readRate`, no lee más rápido que ese múltiplo del tiempo real (0, sin límite), para no cargar
+ * al proveedor. Quedan en `dir` entre reinicios.
+ * `info(movie)` da los metadatos del título e `input(movie)` de dónde lee ffmpeg.
+ */
+function createTrickplay({
+    ffmpeg = 'ffmpeg', dir, info, input, canStart = () => true,
+    interval = 10, width = 160, columns = 10, rows = 10, delay = 30000, readRate = 4,
+    timeout = 60 * 60 * 1000, retryAfter = 3600 * 1000
+}) {
+    const failures = new Map();
+    let queue = [];
+    let current = null, working = false;
+    const counters = { generated: 0, failed: 0 };
+
+    const keyOf = url => crypto.createHash('sha1').update(url).digest('hex');
+    const folder = movie => path.join(dir, keyOf(movie.url));
+
+    // Datos de las hojas ya generadas (index.json), o null
+    function meta(movie) {
+        try { return JSON.parse(fs.readFileSync(path.join(folder(movie), 'index.json'), 'utf8')); } catch { return null; }
+    }
+
+    // 'ready' | 'generating' | 'queued' | 'failed' | 'none'
+    function status(movie) {
+        if (meta(movie)) return { state: 'ready' };
+        if (current === movie.url) return { state: 'generating' };
+        if (queue.some(m => m.url === movie.url)) return { state: 'queued' };
+        const failure = failures.get(movie.url);
+        if (failure && Date.now() - failure.at < retryAfter) return { state: 'failed', error: failure.error };
+        return { state: 'none' };
+    }
+
+    // Estado del título, poniéndolo en cola si aún no tiene miniaturas
+    function request(movie) {
+        const s = status(movie);
+        if (s.state !== 'none') return s;
+        failures.delete(movie.url);
+        queue.push(movie);
+        if (!working) work();
+        return { state: 'queued' };
+    }
+
+    async function generate(movie) {
+        const data = await info(movie);
+        if (!data.duration || !data.video) throw new Error('Sin vídeo o sin duración');
+        const v = data.video;
+        // Alto par y proporcional; sin dimensiones se supone 16:9
+        const height = Math.max(2, Math.round(width * (v.width && v.height ? v.height / v.width : 9 / 16) / 2) * 2);
+        const out = folder(movie), tmp = out + '.tmp';
+        await fs.promises.rm(tmp, { recursive: true, force: true });
+        await fs.promises.mkdir(tmp, { recursive: true });
+        const args = [
+            '-hide_banner', '-loglevel', 'error', '-nostdin', '-skip_frame', 'nokey',
+            ...(readRate > 0 ? ['-readrate', String(readRate)] : []),
+            '-i', input(movie), '-map', `0:${v.index}`, '-an', '-sn', '-dn',
+            '-vf', `fps=1/${interval},scale=${width}:${height},tile=${columns}x${rows}`,
+            '-q:v', '5', '-f', 'image2', path.join(tmp, 'sprite-%d.jpg')
+        ];
+        try {
+            // Con la lectura limitada, un título largo tarda más que el tiempo máximo general
+            await run(ffmpeg, args, readRate > 0 ? Math.max(timeout, data.duration / readRate * 1500) : timeout);
+            const sheets = (await fs.promises.readdir(tmp)).filter(f => /^sprite-\d+\.jpg$/.test(f)).length;
+            if (!sheets) throw new Error('ffmpeg no generó miniaturas');
+            const count = Math.min(Math.ceil(data.duration / interval), sheets * columns * rows);
+            await fs.promises.writeFile(path.join(tmp, 'index.json'), JSON.stringify({ interval, width, height, columns, rows, count, sheets, duration: data.duration }));
+            await fs.promises.rm(out, { recursive: true, force: true });
+            await fs.promises.rename(tmp, out);
+        } catch (e) {
+            await fs.promises.rm(tmp, { recursive: true, force: true });
+            throw e;
+        }
+    }
+
+    async function work() {
+        working = true;
+        while (queue.length) {
+            const movie = queue[0];
+            if (!canStart(movie)) {
+                await wait(Math.min(delay, 5000));
+                continue;
+            }
+            queue.shift();
+            if (meta(movie)) continue;
+            current = movie.url;
+            try {
+                await generate(movie);
+                counters.generated++;
+            } catch (e) {
+                counters.failed++;
+                failures.set(movie.url, { error: e.message, at: Date.now() });
+                console.error(`Miniaturas ${movie.id}:`, e.message);
+                // Sin ffmpeg no tiene sentido seguir con la cola
+                if (e.code === 'ENOENT') queue = [];
+            }
+            current = null;
+            if (queue.length) await wait(delay);
+        }
+        working = false;
+    }
+
+    /**
+     * Índice WebVTT de las miniaturas; `query` (firma) se añade a la URL relativa de cada hoja.
+     * null si el título aún no las tiene.
+     */
+    function index(movie, query) {
+        const m = meta(movie);
+        if (!m) return null;
+        const perSheet = m.columns * m.rows;
+        const cues = [];
+        for (let i = 0; i < m.count; i++) {
+            const cell = i % perSheet;
+            const x = (cell % m.columns) * m.width, y = Math.floor(cell / m.columns) * m.height;
+            const end = Math.min((i + 1) * m.interval, m.duration);
+            cues.push(`${stamp(i * m.interval)} --> ${stamp(end)}\nsprite-${Math.floor(i / perSheet) + 1}.jpg?${query}#xywh=${x},${y},${m.width},${m.height}`);
+        }
+        return 'WEBVTT\n\n' + cues.join('\n\n') + '\n';
+    }
+
+    // Ruta de la hoja `n` (desde 1), o null si no existe
+    function sprite(movie, n) {
+        const m = meta(movie);
+        return m && n >= 1 && n <= m.sheets ? path.join(folder(movie), `sprite-${n}.jpg`) : null;
+    }
+
+    function stats() {
+        return { dir, interval, width, delay, readRate, queued: queue.length, generating: current !== null, failures: failures.size, ...counters };
+    }
+
+    return { status, request, index, sprite, stats };
+}
+
+module.exports = { createTrickplay };
@@ -0,0 +1,96 @@
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+
+/**
+ * Conexiones persistentes con el proveedor: un Agent keep-alive por origen (protocolo+host+puerto),
+ * con su propio pool de sockets, y sesiones HTTP/2 opcionales para orígenes https que lo negocien.
+ * `keepAliveTimeout` cierra los sockets libres; `connectTimeout` solo cuenta mientras se establece
+ * la conexión (TCP + TLS), de modo que una conexión reutilizada no lo paga.
+ */
+function createUpstreamAgents({ lookup, maxSockets = 8, maxFreeSockets = 4, keepAliveTimeout = 15000, connectTimeout = 10000, http2: useHttp2 = false } = {}) {
+    const agents = new Map();
+    const sessions = new Map();
+    const h1Only = new Set();
+    const counters = { requests: 0, reused: 0, connects: 0, connectTimeouts: 0, h2Requests: 0, h2Sessions: 0 };
+
+    function agentFor(url) {
+        const origin = url.origin;
+        if (!agents.has(origin)) {
+            const Agent = url.protocol === 'https:' ? https.Agent : http.Agent;
+            agents.set(origin, new Agent({ keepAlive: true, maxSockets, maxFreeSockets, timeout: keepAliveTimeout, scheduling: 'lifo' }));
+        }
+        return agents.get(origin);
+    }
+
+    // Aplica el timeout de conexión a una petición HTTP/1.1 y cuenta reutilizaciones
+    function track(req) {
+        counters.requests++;
+        req.on('socket', socket => {
+            if (req.reusedSocket) return counters.reused++;
+            counters.connects++;
+            if (!socket.connecting) return;
+            const timer = setTimeout(() => {
+                counters.connectTimeouts++;
+                req.destroy(Object.assign(new Error('Upstream connect timeout'), { code: 'ETIMEDOUT' }));
+            }, connectTimeout);
+            socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => clearTimeout(timer));
+            socket.once('close', () => clearTimeout(timer));
+        });
+        return req;
+    }
+
+    // Sesión HTTP/2 compartida por origen; null si HTTP/2 está desactivado o el origen solo habla HTTP/1.1
+    function session(url) {
+        if (!useHttp2 || url.protocol !== 'https:' || h1Only.has(url.origin)) return Promise.resolve(null);
+        const existing = sessions.get(url.origin);
+        if (existing) return existing;
+        const pending = new Promise(resolve => {
+            const s = http2.connect(url.origin, { lookup, ALPNProtocols: ['h2', 'http/1.1'] });
+            const fail = () => { sessions.delete(url.origin); resolve(null); };
+            const timer = setTimeout(() => { counters.connectTimeouts++; s.destroy(); }, connectTimeout);
+            s.once('connect', () => {
+                clearTimeout(timer);
+                if (s.alpnProtocol !== 'h2') {
+                    h1Only.add(url.origin);
+                    s.destroy();
+                    return fail();
+                }
+                counters.h2Sessions++;
+                s.setTimeout(keepAliveTimeout, () => { if (!s.closed) s.close(); });
+                resolve(s);
+            });
+            s.once('error', () => { clearTimeout(timer); fail(); });
+            s.once('close', () => { clearTimeout(timer); if (sessions.get(url.origin) === pending) sessions.delete(url.origin); resolve(null); });
+        });
+        sessions.set(url.origin, pending);
+        return pending;
+    }
+
+    // Petición sobre una sesión HTTP/2; la respuesta imita lo que usa el proxy de http.IncomingMessage
+    function h2request(s, url, { method, headers, timeout }, onResponse) {
+        counters.h2Requests++;
+        const stream = s.request({ ':method': method, ':path': url.pathname + url.search, ...headers }, { endStream: true });
+        stream.setTimeout(timeout, () => stream.destroy(Object.assign(new Error('Upstream timeout'), { code: 'ETIMEDOUT' })));
+        stream.once('response', h => {
+            const res = Object.assign(stream, { statusCode: h[':status'], headers: h, complete: false });
+            stream.once('end', () => { res.complete = true; });
+            onResponse(res);
+        });
+        return stream;
+    }
+
+    function stats() {
+        const count = sockets => Object.values(sockets).reduce((n, list) => n + list.length, 0);
+        return {
+            maxSockets, maxFreeSockets, keepAliveTimeout, connectTimeout, http2: useHttp2, ...counters,
+            reuseRatio: counters.requests ? +(counters.reused / counters.requests).toFixed(3) : 0,
+            origins: [...agents].map(([origin, a]) => ({ origin, active: count(a.sockets), free: count(a.freeSockets), pending: count(a.requests) })),
+            h2Origins: [...sessions.keys()], h1Only: [...h1Only]
+        };
+    }
+
+    return { agentFor, track, session, h2request, stats };
+}
+
+module.exports = { createUpstreamAgents };
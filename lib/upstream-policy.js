@@ -0,0 +1,90 @@
+const dns = require('dns');
+const net = require('net');
+
+// Rangos a los que el proxy nunca debe conectarse (loopback, redes privadas, link-local, metadata cloud...)
+const BLOCKED = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([ip, bits]) => BLOCKED.addSubnet(ip, bits, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([ip, bits]) => BLOCKED.addSubnet(ip, bits, 'ipv6'));
+
+class PolicyError extends Error {
+    constructor(reason, host) {
+        super(`Destino no permitido (${reason}): ${host}`);
+        this.name = 'PolicyError';
+        this.code = 'EPOLICY';
+        this.status = 403;
+        this.reason = reason;
+        this.host = host;
+    }
+}
+
+function isBlockedAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+    return BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function matchesDomain(host, domain) {
+    return host === domain || host.endsWith('.' + domain);
+}
+
+/**
+ * Política de destinos del proxy: lista blanca de hosts (los del catálogo más ALLOWED_DOMAINS)
+ * y comprobación de las IPs resueltas. `lookup` se pasa a http.request para que la IP validada
+ * sea exactamente la que se usa al conectar, también en cada salto de redirección.
+ */
+function createUpstreamPolicy({ allowedDomains = [], allowPrivate = false } = {}) {
+    const extra = allowedDomains.map(d => d.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+    let catalogHosts = new Set();
+
+    function setCatalog(movies) {
+        const hosts = new Set();
+        // Vídeos y carteles: las dos cosas las pide el servidor por el cliente
+        movies.forEach(m => [m.url, m.poster].forEach(u => {
+            try { hosts.add(new URL(u).hostname.toLowerCase()); } catch { }
+        }));
+        catalogHosts = hosts;
+    }
+
+    function isAllowedHost(hostname) {
+        const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        return catalogHosts.has(host) || extra.some(d => matchesDomain(host, d));
+    }
+
+    function check(target) {
+        let url;
+        try { url = target instanceof URL ? target : new URL(target); } catch { throw new PolicyError('url-invalida', String(target)); }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new PolicyError('protocolo', url.protocol);
+        if (url.username || url.password) throw new PolicyError('credenciales-en-url', url.hostname);
+        if (!isAllowedHost(url.hostname)) throw new PolicyError('host-no-permitido', url.hostname);
+        // Con una IP literal http.request no llama a lookup, así que se valida aquí
+        const literal = url.hostname.replace(/^\[|\]$/g, '');
+        if (!allowPrivate && net.isIP(literal) && isBlockedAddress(literal)) throw new PolicyError('ip-privada', url.hostname);
+        return url;
+    }
+
+    function lookup(hostname, options, callback) {
+        if (typeof options === 'function') { callback = options; options = {}; }
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+            if (!allowPrivate) {
+                const bad = addresses.find(a => isBlockedAddress(a.address));
+                if (bad) return callback(new PolicyError('ip-privada', `${hostname} (${bad.address})`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    function stats() {
+        return { catalogHosts: [...catalogHosts], allowedDomains: extra, allowPrivate };
+    }
+
+    return { setCatalog, isAllowedHost, check, lookup, stats };
+}
+
+module.exports = { createUpstreamPolicy, PolicyError, isBlockedAddress };
@@ -0,0 +1,191 @@
+const http = require('http');
+const https = require('https');
+const { PassThrough } = require('stream');
+const { parseContentRange } = require('./range');
+const { accountKey } = require('./stream-limiter');
+const { wait } = require('./json-store');
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+class RedirectError extends Error {
+    constructor(reason, hops) {
+        super(`Redirección no seguida (${reason}) tras ${hops} saltos`);
+        this.name = 'RedirectError';
+        this.code = 'EREDIRECT';
+        this.reason = reason;
+        this.hops = hops;
+    }
+}
+
+/**
+ * Peticiones al proveedor. Toda URL pasa por la política de destinos (host permitido e IP pública)
+ * antes de conectar; el lookup validado es el que usa el socket. Las redirecciones se siguen aquí,
+ * comprobando cada salto y conservando el Range, y el destino final se recuerda durante `redirectTtl` ms.
+ *
+ * Con `resume: true` el cuerpo (`res.body`) se reanuda solo si el proveedor corta la conexión: se pide
+ * de nuevo desde el siguiente byte con Range. Se rinde tras `resumeAttempts` intentos seguidos sin
+ * recibir datos o cuando pasan `resumeDeadline` ms desde el corte.
+ */
+function createUpstream({ policy, limiter, agents, timeout = 30000, maxRedirects = 5, redirectTtl = 60000, resumeAttempts = 5, resumeDeadline = 60000 }) {
+    const resolved = new Map();
+
+    // Cada conexión ocupa un hueco de la cuenta (`account`) hasta que se cierra
+    async function request(target, { method, range, ifRange, signal, account, queue }) {
+        const url = policy.check(target);
+        const release = limiter ? await limiter.acquire(account, signal, { queue }) : () => { };
+        const headers = { 'User-Agent': 'Mozilla/5.0', 'Accept': '*/*', 'Accept-Encoding': 'identity', 'Referer': url.origin + '/' };
+        if (range) headers['Range'] = range;
+        if (range && ifRange) headers['If-Range'] = ifRange;
+        const session = agents ? await agents.session(url) : null;
+        return new Promise((resolve, reject) => {
+            let req, response;
+            const onResponse = res => {
+                response = res;
+                res.on('error', () => { });
+                resolve(res);
+            };
+            if (session) {
+                req = agents.h2request(session, url, { method, headers, timeout }, onResponse);
+            } else {
+                const client = url.protocol === 'https:' ? https : http;
+                const agent = agents ? agents.agentFor(url) : undefined;
+                req = client.request(url, { method, headers, timeout, agent, lookup: policy.lookup }, onResponse);
+                if (agents) agents.track(req);
+                req.on('timeout', () => req.destroy(Object.assign(new Error('Upstream timeout'), { code: 'ETIMEDOUT' })));
+                req.end();
+            }
+            req.on('close', release);
+            req.on('error', reject);
+            // Con la respuesta ya completa el socket puede haber vuelto al pool: abortar entonces lo destruiría
+            if (signal) {
+                const onAbort = () => {
+                    if (response && response.complete) return;
+                    (response || req).destroy(Object.assign(new Error('Petición cancelada'), { name: 'AbortError' }));
+                };
+                if (signal.aborted) return onAbort();
+                signal.addEventListener('abort', onAbort, { once: true });
+                req.on('close', () => signal.removeEventListener('abort', onAbort));
+            }
+        });
+    }
+
+    async function follow(target, opts) {
+        const seen = new Set([target]);
+        let url = target;
+        for (let hops = 0; ; hops++) {
+            const res = await request(url, opts);
+            if (!REDIRECT_CODES.includes(res.statusCode) || !res.headers.location) {
+                res.url = url;
+                return res;
+            }
+            res.destroy();
+            if (hops >= maxRedirects) throw new RedirectError('demasiados-saltos', hops + 1);
+            url = new URL(res.headers.location, url).href;
+            if (seen.has(url)) throw new RedirectError('bucle', hops + 1);
+            seen.add(url);
+        }
+    }
+
+    // Cuerpo continuo que reabre la conexión con Range desde el último byte recibido si se corta
+    function resumable(target, first, signal, queue) {
+        const cr = parseContentRange(first.headers['content-range']);
+        const canResume = first.statusCode === 206 || first.headers['accept-ranges'] === 'bytes';
+        let pos = cr ? cr.start : 0;
+        const end = cr ? cr.end : (first.headers['content-length'] ? +first.headers['content-length'] - 1 : null);
+        const size = cr ? cr.size : null;
+        const body = new PassThrough();
+        let attempts = 0, droppedAt = 0, current;
+
+        const attach = res => {
+            current = res;
+            res.on('data', chunk => { pos += chunk.length; attempts = 0; droppedAt = 0; });
+            res.on('error', () => { });
+            res.on('close', () => {
+                if (res.complete && (end === null || pos > end)) return body.end();
+                reconnect();
+            });
+            res.pipe(body, { end: false });
+        };
+
+        async function reconnect() {
+            if (body.destroyed) return;
+            if (signal && signal.aborted) return body.destroy();
+            if (!droppedAt) droppedAt = Date.now();
+            if (!canResume || attempts >= resumeAttempts || Date.now() - droppedAt > resumeDeadline) {
+                return body.destroy(new Error(`Conexión con el proveedor perdida en el byte ${pos}`));
+            }
+            attempts++;
+            console.warn(`↻ Reconectando upstream desde el byte ${pos} (intento ${attempts}/${resumeAttempts})`);
+            await wait(500 * attempts);
+            try {
+                const res = await open(target, { range: `bytes=${pos}-${end === null ? '' : end}`, signal, queue });
+                const next = parseContentRange(res.headers['content-range']);
+                if (res.statusCode !== 206 || !next || next.start !== pos || (size && next.size !== size)) {
+                    res.destroy();
+                    throw new Error(`respuesta ${res.statusCode} al reanudar`);
+                }
+                attach(res);
+            } catch (e) {
+                if (e.name === 'AbortError') return body.destroy();
+                console.warn('↻ Reintento fallido:', e.message);
+                reconnect();
+            }
+        }
+
+        body.on('close', () => current && current.destroy());
+        attach(first);
+        return body;
+    }
+
+    // `queue: false`: sin hueco libre con el proveedor se rechaza al momento en vez de esperar turno
+    async function open(target, { method = 'GET', range, ifRange, signal, resume = false, queue = true } = {}) {
+        const res = await resolveAndOpen(target, { method, range, ifRange, signal, queue });
+        res.body = resume && method === 'GET' && res.statusCode < 300 ? resumable(target, res, signal, queue) : res;
+        return res;
+    }
+
+    async function resolveAndOpen(target, { method, range, ifRange, signal, queue }) {
+        const opts = { method, range, ifRange, signal, queue, account: accountKey(target) };
+        const known = resolved.get(target);
+        if (known && known.expires > Date.now()) {
+            try {
+                const res = await request(known.url, opts);
+                // Si el destino recordado ya no vale (token caducado, nueva redirección) se resuelve de nuevo
+                if (res.statusCode < 300) return Object.assign(res, { url: known.url });
+                res.destroy();
+            } catch (e) {
+                if (e.name === 'AbortError' || e.code === 'EPOLICY' || e.code === 'ELIMIT') throw e;
+            }
+        }
+        resolved.delete(target);
+        const res = await follow(target, opts);
+        if (res.url !== target && res.statusCode < 300) resolved.set(target, { url: res.url, expires: Date.now() + redirectTtl });
+        return res;
+    }
+
+    /**
+     * Cabeceras del recurso sin descargarlo: HEAD y, si el proveedor no lo admite, GET de un byte.
+     * Devuelve { status, size, ranges, contentType, etag, lastModified }.
+     */
+    async function probe(target, { signal, queue } = {}) {
+        const head = await open(target, { method: 'HEAD', signal, queue });
+        head.resume();
+        const info = res => ({
+            status: res.statusCode, contentType: res.headers['content-type'] || null,
+            etag: res.headers['etag'] || null, lastModified: res.headers['last-modified'] || null
+        });
+        if (head.statusCode < 400 || head.statusCode === 404 || head.statusCode === 410) {
+            const length = +head.headers['content-length'];
+            return { ...info(head), size: length >= 0 && head.headers['content-length'] ? length : null, ranges: head.headers['accept-ranges'] === 'bytes' };
+        }
+        const res = await open(target, { range: 'bytes=0-0', signal, queue });
+        res.destroy();
+        const cr = parseContentRange(res.headers['content-range']);
+        if (res.statusCode === 206 && cr) return { ...info(res), status: 200, size: cr.size, ranges: true };
+        return { ...info(res), size: +res.headers['content-length'] || null, ranges: false };
+    }
+
+    return { open, probe };
+}
+
+module.exports = { createUpstream, RedirectError };
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+class SignatureError extends Error {
+    constructor(reason) {
+        super(`Firma no válida (${reason})`);
+        this.name = 'SignatureError';
+        this.status = 403;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Firma HMAC de URLs de reproducción. La firma cubre el alcance (id del título o URL del proxy),
+ * la caducidad y, opcionalmente, la IP del cliente: cambiar cualquiera de ellos la invalida.
+ */
+function createUrlSigner({ secret, ttl = 6 * 3600 } = {}) {
+    const key = secret || crypto.randomBytes(32).toString('hex');
+
+    const mac = (scope, exp, ip) => crypto.createHmac('sha256', key).update(`${scope}\n${exp}\n${ip || ''}`).digest('base64url');
+
+    // Devuelve los parámetros de query que hay que añadir a la URL
+    function sign(scope, { ip, expiresIn = ttl } = {}) {
+        const exp = Math.floor(Date.now() / 1000) + expiresIn;
+        const params = { exp: String(exp), sig: mac(scope, exp, ip) };
+        if (ip) params.b = '1';
+        return params;
+    }
+
+    function signUrl(base, scope, opts) {
+        const params = new URLSearchParams(sign(scope, opts));
+        return base + (base.includes('?') ? '&' : '?') + params;
+    }
+
+    function verify(scope, query, ip) {
+        const { exp, sig, b } = query;
+        if (!exp || !sig) throw new SignatureError('firma-ausente');
+        const expected = Buffer.from(mac(scope, exp, b === '1' ? ip : ''));
+        const given = Buffer.from(String(sig));
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new SignatureError(b === '1' ? 'firma-invalida-o-ip-distinta' : 'firma-invalida');
+        }
+        if (+exp < Date.now() / 1000) throw new SignatureError('expirada');
+        return { exp: +exp, boundIp: b === '1' };
+    }
+
+    return { sign, signUrl, verify, ephemeral: !secret };
+}
+
+module.exports = { createUrlSigner, SignatureError };
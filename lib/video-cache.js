@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseRange, resolveRange, parseContentRange, ifRangeMatches } = require('./range');
+
+// Une [start, end] (inclusivo) a una lista ordenada de rangos, fusionando solapes y contiguos
+function addRange(ranges, start, end) {
+    const out = [];
+    for (const [s, e] of [...ranges, [start, end]].sort((a, b) => a[0] - b[0])) {
+        const last = out[out.length - 1];
+        if (last && s <= last[1] + 1) last[1] = Math.max(last[1], e);
+        else out.push([s, e]);
+    }
+    return out;
+}
+
+// Divide [start, end] en tramos que ya están en disco y huecos que hay que pedir al proveedor
+function plan(ranges, start, end) {
+    const pieces = [];
+    let pos = start;
+    for (const [s, e] of ranges) {
+        if (e < pos) continue;
+        if (s > end) break;
+        if (s > pos) pieces.push({ cached: false, start: pos, end: s - 1 });
+        pieces.push({ cached: true, start: Math.max(s, pos), end: Math.min(e, end) });
+        pos = Math.min(e, end) + 1;
+        if (pos > end) break;
+    }
+    if (pos <= end) pieces.push({ cached: false, start: pos, end });
+    return pieces;
+}
+
+const cachedBytes = entry => entry.ranges.reduce((n, [s, e]) => n + e - s + 1, 0);
+
+// Copia src → res respetando backpressure, sin cerrar res al terminar
+function pump(src, res, onChunk) {
+    return new Promise((resolve, reject) => {
+        const done = err => {
+            src.off('data', onData); src.off('end', onEnd); src.off('error', done); res.off('close', onClose); res.off('drain', onDrain);
+            err ? reject(err) : resolve();
+        };
+        const onData = chunk => {
+            if (onChunk) onChunk(chunk);
+            if (!res.write(chunk)) src.pause();
+        };
+        const onDrain = () => src.resume();
+        const onEnd = () => done();
+        const onClose = () => { src.destroy(); done(new Error('Cliente desconectado')); };
+        src.on('data', onData); src.on('end', onEnd); src.on('error', done); res.on('close', onClose); res.on('drain', onDrain);
+    });
+}
+
+/**
+ * Caché en disco de vídeo por rangos. Cada recurso del proveedor (clave = hash de la URL) tiene un
+ * fichero disperso con los bytes descargados y un .json con los rangos que contiene. Las peticiones
+ * Range se sirven desde disco y solo se piden al proveedor los huecos. Tope de tamaño con expulsión
+ * LRU por recurso y caducidad por TTL.
+ */
+function createVideoCache({ dir, maxBytes = 2 * 1024 ** 3, ttl = 7 * 24 * 3600 }) {
+    const enabled = maxBytes > 0;
+    const entries = new Map();
+    const counters = { hits: 0, partial: 0, misses: 0, evictions: 0 };
+
+    const keyOf = url => crypto.createHash('sha1').update(url).digest('hex');
+    const dataPath = entry => path.join(dir, entry.key + '.data');
+    const metaPath = entry => path.join(dir, entry.key + '.json');
+    const expired = entry => Date.now() - entry.created > ttl * 1000;
+
+    if (enabled) {
+        fs.mkdirSync(dir, { recursive: true });
+        for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+            try {
+                const entry = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+                if (!fs.existsSync(dataPath(entry))) throw new Error('sin datos');
+                entries.set(entry.key, { ...entry, active: 0 });
+            } catch { fs.rmSync(path.join(dir, f), { force: true }); }
+        }
+        setInterval(sweep, 10 * 60 * 1000).unref();
+    }
+
+    function save(entry) {
+        const { active, ...meta } = entry;
+        fs.promises.writeFile(metaPath(entry), JSON.stringify(meta)).catch(e => console.error('Caché:', e.message));
+    }
+
+    function remove(entry) {
+        entries.delete(entry.key);
+        fs.rmSync(dataPath(entry), { force: true });
+        fs.rmSync(metaPath(entry), { force: true });
+    }
+
+    function totalBytes() {
+        let n = 0;
+        for (const entry of entries.values()) n += cachedBytes(entry);
+        return n;
+    }
+
+    function enforceLimit() {
+        let total = totalBytes();
+        const lru = [...entries.values()].filter(e => !e.active).sort((a, b) => a.lastAccess - b.lastAccess);
+        while (total > maxBytes && lru.length) {
+            const victim = lru.shift();
+            total -= cachedBytes(victim);
+            remove(victim);
+            counters.evictions++;
+        }
+    }
+
+    function sweep() {
+        for (const entry of entries.values()) if (!entry.active && expired(entry)) remove(entry);
+    }
+
+    // Escritor en el fichero disperso a partir de `offset`; al cerrar registra lo que llegó a disco
+    function writer(entry, offset) {
+        entry.active++;
+        let flushed = 0;
+        const ws = fs.createWriteStream(dataPath(entry), { flags: 'r+', start: offset });
+        ws.on('error', e => console.error('Caché:', e.message));
+        ws.on('close', () => {
+            entry.active--;
+            if (flushed && entries.get(entry.key) === entry) {
+                entry.ranges = addRange(entry.ranges, offset, offset + flushed - 1);
+                save(entry);
+                enforceLimit();
+            }
+        });
+        let ended = false;
+        return {
+            write: chunk => !ended && ws.write(chunk, err => { if (!err) flushed += chunk.length; }),
+            end: () => { if (!ended) { ended = true; ws.end(); } }
+        };
+    }
+
+    function lookup(url) {
+        if (!enabled) return null;
+        const entry = entries.get(keyOf(url));
+        if (!entry) return null;
+        if (expired(entry) && !entry.active) { remove(entry); return null; }
+        return entry;
+    }
+
+    // Solo se sirven desde caché peticiones sin Range o con un rango único
+    const servable = (entry, rangeHeader) => !rangeHeader || !!parseRange(rangeHeader);
+
+    /**
+     * Guarda en caché el cuerpo (`upRes.body`) de una respuesta del proveedor que ya se está enviando
+     * al cliente. Solo si es 200/206 sin codificar, con tamaño total conocido y soporte de rangos.
+     */
+    function capture(url, upRes, label) {
+        if (!enabled || upRes.headers['content-encoding']) return;
+        let offset = 0, size = null;
+        if (upRes.statusCode === 206) {
+            const cr = parseContentRange(upRes.headers['content-range']);
+            if (!cr) return;
+            offset = cr.start;
+            size = cr.size;
+        } else if (upRes.statusCode === 200 && upRes.headers['accept-ranges'] === 'bytes') {
+            size = +upRes.headers['content-length'] || null;
+        }
+        if (!size || size > maxBytes) return;
+
+        const key = keyOf(url);
+        let entry = entries.get(key);
+        const etag = upRes.headers['etag'] || null;
+        if (entry && (entry.size !== size || (etag && entry.etag && etag !== entry.etag))) {
+            if (entry.active) return;
+            remove(entry);
+            entry = null;
+        }
+        if (!entry) {
+            entry = {
+                key, label: label || null, size, ranges: [], active: 0,
+                contentType: upRes.headers['content-type'] || null, etag, lastModified: upRes.headers['last-modified'] || null,
+                created: Date.now(), lastAccess: Date.now()
+            };
+            try {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.closeSync(fs.openSync(dataPath(entry), 'w'));
+            } catch (e) { return console.error('Caché:', e.message); }
+            entries.set(key, entry);
+        }
+        counters.misses++;
+        const w = writer(entry, offset);
+        upRes.body.on('data', chunk => w.write(chunk));
+        upRes.body.on('end', w.end);
+        upRes.body.on('close', w.end);
+    }
+
+    /**
+     * Sirve una petición desde la caché. Los huecos se piden con fetchRange("bytes=a-b"), que debe
+     * devolver la respuesta 206 del proveedor con su cuerpo en `body`; lo descargado se guarda a la
+     * vez que se envía.
+     */
+    async function serve(entry, req, res, fetchRange) {
+        const { size } = entry;
+        const range = ifRangeMatches(req.headers['if-range'], entry) ? req.headers.range : null;
+        let start = 0, end = size - 1;
+        if (range) {
+            const r = resolveRange(parseRange(range), size);
+            if (!r) return res.writeHead(416, { 'Content-Range': `bytes */${size}` }).end();
+            ({ start, end } = r);
+        }
+        const pieces = plan(entry.ranges, start, end);
+        const hit = pieces.every(p => p.cached);
+        counters[hit ? 'hits' : 'partial']++;
+
+        const h = { 'Content-Type': entry.contentType || 'application/octet-stream', 'Accept-Ranges': 'bytes', 'Content-Length': end - start + 1, 'X-Cache': hit ? 'HIT' : 'PARTIAL' };
+        if (range) h['Content-Range'] = `bytes ${start}-${end}/${size}`;
+        if (entry.etag) h['ETag'] = entry.etag;
+        if (entry.lastModified) h['Last-Modified'] = entry.lastModified;
+        res.writeHead(range ? 206 : 200, h);
+
+        entry.active++;
+        entry.lastAccess = Date.now();
+        try {
+            for (const p of pieces) {
+                if (p.cached) {
+                    await pump(fs.createReadStream(dataPath(entry), { start: p.start, end: p.end }), res);
+                    continue;
+                }
+                const up = await fetchRange(`bytes=${p.start}-${p.end}`);
+                const cr = parseContentRange(up.headers['content-range']);
+                if (up.statusCode !== 206 || !cr || cr.start !== p.start || cr.size !== size) {
+                    up.destroy();
+                    throw new Error(`Respuesta inesperada del proveedor (${up.statusCode})`);
+                }
+                const w = writer(entry, p.start);
+                let received = 0;
+                try {
+                    await pump(up.body, res, chunk => { received += chunk.length; w.write(chunk); });
+                } finally { w.end(); }
+                if (received < p.end - p.start + 1) throw new Error('Respuesta del proveedor incompleta');
+            }
+            res.end();
+        } catch (e) {
+            if (!res.destroyed) console.error('Caché:', e.message);
+            res.destroy();
+        } finally {
+            entry.active--;
+            save(entry);
+        }
+    }
+
+    function stats() {
+        return { enabled, dir, maxBytes, ttl, bytes: totalBytes(), entries: entries.size, ...counters };
+    }
+
+    function list() {
+        return [...entries.values()]
+            .sort((a, b) => b.lastAccess - a.lastAccess)
+            .map(e => ({
+                key: e.key, label: e.label, size: e.size, cached: cachedBytes(e), ranges: e.ranges.length,
+                active: e.active, created: new Date(e.created).toISOString(), lastAccess: new Date(e.lastAccess).toISOString()
+            }));
+    }
+
+    function purge(key) {
+        const victims = key ? [entries.get(key)].filter(Boolean) : [...entries.values()];
+        victims.forEach(remove);
+        return victims.length;
+    }
+
+    return { enabled, lookup, servable, capture, serve, stats, list, purge };
+}
+
+module.exports = { createVideoCache, addRange, plan };
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CatalogError } = require('./catalog');
+const { createJsonStore, wait } = require('./json-store');
+const hash = s => crypto.createHash('sha1').update(s).digest('hex');
+
+// Algunos paneles devuelven objetos indexados donde otros devuelven listas
+const asList = v => Array.isArray(v) ? v : v && typeof v === 'object' ? Object.values(v) : [];
+const text = v => typeof v === 'string' && v.trim() ? v.trim() : null;
+const extension = (v, fallback) => /^\w{2,5}$/.test(v || '') ? v : fallback;
+
+// Nota sobre 10 ("7.4", o "3.7" en rating_5based); null si no hay
+function rating(item) {
+    const n = parseFloat(item.rating);
+    if (Number.isFinite(n) && n > 0) return Math.round(Math.min(n, 10) * 10) / 10;
+    const five = parseFloat(item.rating_5based);
+    return Number.isFinite(five) && five > 0 ? Math.round(five * 20) / 10 : null;
+}
+
+// "1700000000" (segundos Unix) → fecha ISO
+function addedAt(v) {
+    const n = +v;
+    return n > 0 ? new Date(n * 1000).toISOString() : null;
+}
+
+/**
+ * Cliente de la API de un panel Xtream Codes (player_api.php). `call(action, params)` devuelve el
+ * JSON de la acción (sin acción, los datos de la cuenta); `streamUrl` arma la URL de reproducción
+ * ("/movie/<usuario>/<clave>/<id>.<ext>", igual que las de data.json). Con `check(url)` cada petición
+ * pasa antes por la política de destinos y no se siguen redirecciones, que irían a un host sin comprobar.
+ */
+function createXtreamClient({ server, username, password, timeout = 60000, check }) {
+    const base = String(server || '').replace(/\/+$/, '');
+    if (!/^https?:\/\/[^/]+/i.test(base)) throw new CatalogError(`Xtream: servidor no válido (${server})`);
+    if (!username || !password) throw new CatalogError('Xtream: faltan el usuario o la contraseña');
+
+    async function call(action, params = {}) {
+        const url = new URL(base + '/player_api.php');
+        url.search = new URLSearchParams({ username, password, ...(action ? { action } : {}), ...params });
+        const what = action || 'login';
+        if (check) check(url);
+        let res;
+        // La URL lleva la contraseña: los errores nombran la acción, nunca la URL
+        try {
+            res = await fetch(url, { signal: AbortSignal.timeout(timeout), headers: { 'User-Agent': 'Mozilla/5.0' }, redirect: check ? 'manual' : 'follow' });
+        } catch (e) { throw new CatalogError(`Xtream ${what}: ${e.name === 'TimeoutError' ? 'tiempo de espera agotado' : e.message}`); }
+        if (!res.ok) throw new CatalogError(`Xtream ${what}: respuesta ${res.status}`);
+        try { return await res.json(); } catch { throw new CatalogError(`Xtream ${what}: la respuesta no es JSON`); }
+    }
+
+    const streamUrl = (kind, id, ext) => `${base}/${kind}/${encodeURIComponent(username)}/${encodeURIComponent(password)}/${id}.${ext}`;
+
+    return { base, call, streamUrl };
+}
+
+/**
+ * Fuente del catálogo que lee un panel Xtream Codes: películas (get_vod_streams), series
+ * (get_series, con sus episodios de get_series_info) y canales (get_live_streams), según `include`,
+ * con categoría, nota y fecha de alta. Los episodios se guardan en `file` por serie y solo se vuelven
+ * a pedir cuando cambia su last_modified: la primera carga hace una petición por serie, con `delay` ms
+ * entre ellas. `read()` devuelve { entries, hash, skipped } como el resto de fuentes.
+ */
+function createXtreamSource({ server, username, password, include = ['movie'], file, timeout, delay = 250 }) {
+    const client = createXtreamClient({ server, username, password, timeout });
+    const label = `xtream:${username}@${new URL(client.base).host}`;
+    let episodes = {};
+    if (file) {
+        try {
+            episodes = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error('Xtream:', e.message);
+        }
+    }
+
+    async function login() {
+        const data = await client.call();
+        const user = data && data.user_info;
+        if (!user || +user.auth !== 1) throw new CatalogError('Xtream: usuario o contraseña rechazados');
+        if (user.status && user.status !== 'Active') throw new CatalogError(`Xtream: cuenta ${user.status}`);
+    }
+
+    // category_id → nombre
+    async function categories(action) {
+        const names = new Map();
+        for (const c of asList(await client.call(action))) names.set(String(c.category_id), text(c.category_name));
+        return names;
+    }
+
+    async function movies() {
+        const [groups, streams] = await Promise.all([categories('get_vod_categories'), client.call('get_vod_streams')]);
+        return asList(streams).filter(s => s && s.stream_id).map(s => ({
+            title: text(s.name) || `Película ${s.stream_id}`,
+            url: client.streamUrl('movie', s.stream_id, extension(s.container_extension, 'mp4')),
+            logo: text(s.stream_icon) || '', group: groups.get(String(s.category_id)) || null,
+            rating: rating(s), added: addedAt(s.added)
+        }));
+    }
+
+    async function live() {
+        const [groups, streams] = await Promise.all([categories('get_live_categories'), client.call('get_live_streams')]);
+        // En HLS, que el navegador reproduce a través del proxy de listas
+        return asList(streams).filter(s => s && s.stream_id).map(s => ({
+            title: text(s.name) || `Canal ${s.stream_id}`, url: client.streamUrl('live', s.stream_id, 'm3u8'),
+            logo: text(s.stream_icon) || '', group: groups.get(String(s.category_id)) || null, rating: null, added: addedAt(s.added)
+        }));
+    }
+
+    // Episodios de una serie: de la caché si la serie no ha cambiado desde la última vez
+    async function seriesEpisodes(show) {
+        const id = String(show.series_id);
+        const modified = String(show.last_modified || '');
+        const cached = episodes[id];
+        if (cached && cached.modified === modified) return cached.list;
+        const info = await client.call('get_series_info', { series_id: id });
+        const list = asList(info && info.episodes).flatMap(asList).filter(e => e && e.id).map(e => ({
+            id: String(e.id), ext: extension(e.container_extension, 'mp4'), season: +e.season || 1, episode: +e.episode_num || 0,
+            plot: text(e.info && e.info.plot), logo: text(e.info && e.info.movie_image), added: addedAt(e.added)
+        }));
+        episodes[id] = { modified, list };
+        await wait(delay);
+        return list;
+    }
+
+    async function series() {
+        const [groups, shows] = await Promise.all([categories('get_series_categories'), client.call('get_series')]);
+        const entries = [];
+        const seen = new Set();
+        const pad = n => String(n).padStart(2, '0');
+        for (const show of asList(shows).filter(s => s && s.series_id)) {
+            seen.add(String(show.series_id));
+            let list;
+            try { list = await seriesEpisodes(show); } catch (e) {
+                // Una serie que falla no tumba la carga: se queda con lo que hubiera en caché
+                console.error(`Xtream: serie ${show.series_id}:`, e.message);
+                list = (episodes[show.series_id] || {}).list || [];
+            }
+            const name = text(show.name) || `Serie ${show.series_id}`;
+            for (const e of list) {
+                entries.push({
+                    title: `${name} S${pad(e.season)}E${pad(e.episode)}`, url: client.streamUrl('series', e.id, e.ext),
+                    logo: e.logo || text(show.cover) || '', group: groups.get(String(show.category_id)) || null,
+                    rating: rating(show), added: e.added, plot: e.plot || text(show.plot)
+                });
+            }
+        }
+        for (const id of Object.keys(episodes)) if (!seen.has(id)) delete episodes[id];
+        if (file) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file + '.tmp', JSON.stringify(episodes));
+            await fs.promises.rename(file + '.tmp', file);
+        }
+        return entries;
+    }
+
+    async function read() {
+        await login();
+        const entries = [];
+        if (include.includes('movie')) entries.push(...await movies());
+        if (include.includes('series')) entries.push(...await series());
+        if (include.includes('live')) entries.push(...await live());
+        return { entries, hash: hash(JSON.stringify(entries)), skipped: 0 };
+    }
+
+    return { label, read };
+}
+
+// "/movie/<usuario>/<clave>/<id>.<ext>" → lo necesario para pedir su ficha a player_api.php
+function vodRef(url) {
+    try {
+        const u = new URL(url);
+        const m = /^(.*)\/movie\/([^/]+)\/([^/]+)\/(\d+)(?:\.\w+)?$/.exec(u.pathname);
+        if (!m) return null;
+        return { server: u.origin + m[1], username: decodeURIComponent(m[2]), password: decodeURIComponent(m[3]), id: m[4] };
+    } catch { return null; }
+}
+
+/**
+ * Fichas de las películas (get_vod_info: sinopsis, género, reparto...) de los títulos con URL de
+ * película de alguno de los paneles de `servers`; el resto del catálogo no se toca. Se piden en
+ * segundo plano, de una en una con `delay` ms entre ellas, y se guardan en `file`; se renuevan cada
+ * `interval` ms y las que fallan, pasado `retryAfter` ms. `check` es la política de destinos.
+ */
+function createVodInfo({ file, servers = [], check, interval = 30 * 24 * 3600 * 1000, retryAfter = 24 * 3600 * 1000, delay = 1000, timeout = 15000 }) {
+    // Igual que los arma vodRef: origen normalizado más la ruta, sin barra final
+    const panels = new Set(servers.flatMap(s => {
+        try { const u = new URL(s); return [u.origin + u.pathname.replace(/\/+$/, '')]; } catch { return []; }
+    }));
+    const { data: records, save } = createJsonStore({ file, label: 'Fichas' });
+    let catalog = [], queue = [];
+    let working = false, timer = null;
+    const counters = { fetched: 0, failed: 0 };
+
+    const keyOf = url => hash(url);
+    // Referencia de la ficha, solo si el título es de uno de los paneles
+    const refOf = url => {
+        const ref = url && vodRef(url);
+        return ref && panels.has(ref.server) ? ref : null;
+    };
+
+    // Ficha del título: { plot, genre, director, cast, releaseDate, duration, rating, tmdbId, trailer }, o null
+    function get(movie) {
+        const r = movie.url && records[keyOf(movie.url)];
+        if (!r || r.error) return null;
+        const { fetchedAt, ...info } = r;
+        return info;
+    }
+
+    function due(movie) {
+        const r = records[keyOf(movie.url)];
+        return !r || Date.now() - r.fetchedAt > (r.error ? retryAfter : interval);
+    }
+
+    // Pide la ficha si toca (las que fallaron esperan a `retryAfter`) y la devuelve
+    async function load(movie) {
+        const ref = refOf(movie.url);
+        if (!ref) return null;
+        if (!due(movie)) return get(movie);
+        const key = keyOf(movie.url);
+        try {
+            const { call } = createXtreamClient({ ...ref, timeout, check });
+            const data = await call('get_vod_info', { vod_id: ref.id });
+            const info = (data && data.info) || {};
+            if (Array.isArray(data && data.info) || !Object.keys(info).length) throw new Error('Sin ficha');
+            records[key] = {
+                plot: text(info.plot) || text(info.description), genre: text(info.genre), director: text(info.director),
+                cast: text(info.cast) || text(info.actors), releaseDate: text(info.releasedate) || text(info.release_date),
+                duration: +info.duration_secs || null, rating: rating(info), tmdbId: info.tmdb_id ? String(info.tmdb_id) : null,
+                trailer: text(info.youtube_trailer), fetchedAt: Date.now()
+            };
+            counters.fetched++;
+        } catch (e) {
+            records[key] = { error: e.message, fetchedAt: Date.now() };
+            counters.failed++;
+        }
+        save();
+        return get(movie);
+    }
+
+    function tick() {
+        if (working) return;
+        queue = catalog.filter(m => refOf(m.url) && due(m));
+        if (queue.length) work();
+    }
+
+    async function work() {
+        working = true;
+        while (queue.length) {
+            await load(queue.shift());
+            await wait(delay);
+        }
+        working = false;
+    }
+
+    // Catálogo del que sacar fichas; la primera llamada arranca la cola (se revisa cada diez minutos qué toca)
+    function schedule(movies) {
+        catalog = movies;
+        if (!timer) timer = setInterval(tick, 10 * 60 * 1000).unref();
+        tick();
+    }
+
+    function stats() {
+        const all = catalog.filter(m => refOf(m.url));
+        return {
+            file, interval, delay, titles: all.length, known: all.filter(m => get(m)).length,
+            queued: queue.length, running: working, ...counters
+        };
+    }
+
+    return { get, load, schedule, stats };
+}
+
+module.exports = { createXtreamClient, createXtreamSource, createVodInfo, vodRef };